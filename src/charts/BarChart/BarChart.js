@@ -1,8 +1,16 @@
 import { createChartWrapper } from "../core/ChartWrapper.js";
-import { linearScale, bandScale } from "../core/scales.js";
-import { makeTicks } from "../core/ticks.js";
+import { makeScale, bandScale } from "../core/scales.js";
+import { resolveValueAxis } from "../core/ticks.js";
 import { renderAxisLinear } from "../core/AxisLinear.js";
 import { renderAxisBand } from "../core/AxisBand.js";
+import { formatAxisTitle } from "../core/AxisTitle.js";
+import { resolveValueFormat } from "../core/format.js";
+import {
+  describeChart,
+  summarizeExtent,
+  bindKeyboardNav,
+} from "../core/a11y.js";
+import { renderDataTable } from "../core/DataTable.js";
 
 /**
  * @typedef {Object} BarDatum
@@ -12,10 +20,19 @@ import { renderAxisBand } from "../core/AxisBand.js";
 
 /**
  * @typedef {Object} ValueAxisOpts
+ * @property {'linear' | 'log' | 'symlog'} [type] - 축 종류 (log는 0 이하 값을 최소값으로 고정)
  * @property {number} [min]
  * @property {number} [max]
  * @property {import('../core/types').YTicks} [ticks]
  * @property {(v: number) => string | number} [formatTick]
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
+ */
+
+/**
+ * @typedef {Object} CategoryAxisOpts
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
  */
 
 /**
@@ -30,9 +47,15 @@ import { renderAxisBand } from "../core/AxisBand.js";
  * @param {number} [props.height=360] - 차트 높이
  * @param {string} [props.barColor='#73a7d9'] - 막대 색상
  * @param {boolean} [props.rotateLabels=false] - X축 라벨 회전 여부
+ * @param {import('../core/AxisBand').LabelLayout} [props.labelLayout='auto'] - 범주 라벨 겹침 처리 전략
  * @param {number} [props.categoryGap=0.2] - 카테고리 간격 비율
  * @param {ValueAxisOpts} [props.valueAxis] - 값 축 설정
+ * @param {CategoryAxisOpts} [props.categoryAxis] - 범주 축 설정
+ * @param {import('../core/format').ValueFormat} [props.valueFormat] - 값 포맷 (눈금·툴팁 공통)
+ * @param {string | string[]} [props.locale] - 숫자 포맷 로케일
  * @param {Partial<import('../core/types').Padding>} [props.framePadding] - 프레임 패딩
+ * @param {string} [props.ariaLabel] - 스크린 리더용 차트 이름 (생략 시 '막대 차트')
+ * @param {boolean | import('../core/DataTable').DataTableOpts} [props.dataTable] - 데이터 대체 표 (true면 스크린 리더 전용, { toggle: true }면 보기 버튼)
  * @returns {{ update: (newData: BarDatum[]) => void, destroy: () => void }}
  */
 export function createBarChart(
@@ -44,9 +67,15 @@ export function createBarChart(
     height = 360,
     barColor = "#73a7d9",
     rotateLabels = false,
+    labelLayout = "auto",
     categoryGap = 0.2,
     valueAxis,
+    categoryAxis,
+    valueFormat,
+    locale,
     framePadding,
+    ariaLabel,
+    dataTable,
   }
 ) {
   // 컨테이너 초기화
@@ -68,24 +97,30 @@ export function createBarChart(
   let isAnimated = false;
   let animationFrameId = null;
 
+  // 눈금·툴팁 공통 값 포맷
+  const format = resolveValueFormat(valueAxis, valueFormat, locale);
+
   // 차트 래퍼 생성
   const chartWrapper = createChartWrapper(container, {
     width,
     height,
     framePadding,
-    render: ({ innerWidth, innerHeight, svg, g }) => {
+    render: ({ innerWidth, innerHeight, svg, g, growPadding }) => {
       // 기존 내용 제거
       g.innerHTML = "";
 
       const labels = currentData.map((d) => d.label);
       const values = currentData.map((d) => d.value);
+      const dataMin = values.length ? Math.min(...values, 0) : 0;
       const dataMax = values.length ? Math.max(...values, 0) : 0;
 
       const isVertical = orientation === "vertical";
-      const vMin = valueAxis?.min ?? 0;
-      const vMaxRaw = valueAxis?.max ?? dataMax;
-      const vMax = vMaxRaw === vMin ? vMin + 1 : vMaxRaw;
-      const ticks = makeTicks(vMin, vMax, valueAxis?.ticks);
+      // min/max/ticks 생략 시 보기 좋은 경계와 눈금으로 자동 확장
+      const {
+        min: vMin,
+        max: vMax,
+        ticks,
+      } = resolveValueAxis(dataMin, dataMax, valueAxis, values);
 
       // 스케일 생성
       const band = isVertical
@@ -93,23 +128,32 @@ export function createBarChart(
         : bandScale(labels, 0, innerHeight, categoryGap);
 
       const valueScale = isVertical
-        ? linearScale(vMin, vMax, innerHeight, 0)
-        : linearScale(vMin, vMax, 0, innerWidth);
+        ? makeScale(valueAxis?.type, vMin, vMax, innerHeight, 0)
+        : makeScale(valueAxis?.type, vMin, vMax, 0, innerWidth);
+
+      // 막대 기준선 (0이 도메인 밖이면 가까운 경계)
+      const baseline = Math.min(Math.max(0, vMin), vMax);
+      const basePos = valueScale(baseline);
 
       // 1) 값 축
       const axisLinearG = document.createElementNS(
         "http://www.w3.org/2000/svg",
         "g"
       );
-      renderAxisLinear(axisLinearG, {
+      const { size: linearAxisSize } = renderAxisLinear(axisLinearG, {
         ticks,
         scale: valueScale,
         length: isVertical ? innerWidth : innerHeight,
         side: isVertical ? "left" : "bottom",
         grid: true,
-        formatTick: valueAxis?.formatTick,
+        formatTick: format.tick,
+        type: valueAxis?.type,
+        zeroLine: vMin < 0 && vMax > 0,
+        title: formatAxisTitle(valueAxis),
+        extent: isVertical ? innerHeight : innerWidth,
       });
       g.appendChild(axisLinearG);
+      growPadding(isVertical ? "left" : "bottom", linearAxisSize + 4);
 
       // 2) 범주 축
       const axisBandG = document.createElementNS(
@@ -119,19 +163,25 @@ export function createBarChart(
       if (isVertical) {
         axisBandG.setAttribute("transform", `translate(0, ${innerHeight})`);
       }
-      renderAxisBand(axisBandG, {
+      const { size: bandAxisSize } = renderAxisBand(axisBandG, {
         labels,
         getPos: band.getX,
         bandWidth: band.bandWidth,
         side: isVertical ? "bottom" : "left",
         rotate: rotateLabels,
+        layout: labelLayout,
         tickPadding: 20,
+        title: formatAxisTitle(categoryAxis),
+        extent: isVertical ? innerWidth : innerHeight,
       });
       g.appendChild(axisBandG);
+      // 회전·긴 라벨, 축 제목이 잘리지 않도록 여백 확보
+      growPadding(isVertical ? "bottom" : "left", bandAxisSize + 4);
 
       // 3) 막대 그리기
+      const marks = [];
       currentData.forEach((d, i) => {
-        const safeValue = Math.max(0, d.value);
+        const isNegative = d.value < baseline;
 
         const rect = document.createElementNS(
           "http://www.w3.org/2000/svg",
@@ -140,23 +190,25 @@ export function createBarChart(
         rect.setAttribute("fill", barColor);
         rect.setAttribute("rx", "6");
         rect.classList.add("bar");
+        if (isNegative) rect.classList.add("bar--negative");
         rect.style.transitionDelay = `${i * 40}ms`;
 
         if (isVertical) {
           const x = band.getX(d.label);
           const bw = band.bandWidth;
-          const y1 = valueScale(safeValue);
-          const h = innerHeight - y1;
+          const y1 = valueScale(d.value);
+          const y = Math.min(y1, basePos);
+          const h = Math.abs(basePos - y1);
 
           rect.setAttribute("x", x);
-          rect.setAttribute("y", y1);
+          rect.setAttribute("y", y);
           rect.setAttribute("width", bw);
           rect.setAttribute("height", h);
         } else {
           const yPos = band.getX(d.label);
           const bh = band.bandWidth;
-          const x0 = valueScale(0);
-          const x1 = valueScale(safeValue);
+          const x0 = basePos;
+          const x1 = valueScale(d.value);
           const x = Math.min(x0, x1);
           const w = Math.abs(x1 - x0);
 
@@ -167,14 +219,14 @@ export function createBarChart(
         }
 
         // 툴팁 이벤트
+        const html = `<strong>${d.label}</strong> · ${format.value(d.value)}`;
+        marks.push({ el: rect, html });
         rect.addEventListener("mouseenter", (e) => {
           const containerRect = container.getBoundingClientRect();
           tooltip.style.display = "block";
           tooltip.style.left = `${e.clientX - containerRect.left}px`;
           tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
-          tooltip.innerHTML = `<strong>${
-            d.label
-          }</strong> · ${d.value.toLocaleString()}`;
+          tooltip.innerHTML = html;
         });
 
         rect.addEventListener("mousemove", (e) => {
@@ -190,6 +242,28 @@ export function createBarChart(
         g.appendChild(rect);
       });
 
+      // 접근성: 차트 이름·요약, 막대 키보드 탐색, 데이터 표
+      const chartLabel = ariaLabel ?? "막대 차트";
+      describeChart(svg, {
+        label: chartLabel,
+        summary: [
+          `항목 ${currentData.length}개`,
+          summarizeExtent(currentData, format.value),
+        ],
+      });
+      bindKeyboardNav([marks], {
+        tooltip,
+        categoryAxis: isVertical ? "x" : "y",
+      });
+      renderDataTable(container, svg, dataTable, {
+        caption: chartLabel,
+        columns: [
+          formatAxisTitle(categoryAxis) || "항목",
+          formatAxisTitle(valueAxis) || "값",
+        ],
+        rows: currentData.map((d) => [d.label, format.value(d.value)]),
+      });
+
       // 리사이징 후에도 애니메이션 적용
       if (!isAnimated) {
         requestAnimationFrame(() => {
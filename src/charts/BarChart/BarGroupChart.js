@@ -1,10 +1,20 @@
 import { createChartWrapper } from "../core/ChartWrapper.js";
-import { linearScale, bandScale } from "../core/scales.js";
-import { makeTicks } from "../core/ticks.js";
+import { makeScale, bandScale } from "../core/scales.js";
+import { resolveValueAxis } from "../core/ticks.js";
 import { renderAxisLinear } from "../core/AxisLinear.js";
 import { renderAxisBand } from "../core/AxisBand.js";
-import { renderLegend } from "../core/Legend.js";
+import { formatAxisTitle } from "../core/AxisTitle.js";
+import { createFormatter, resolveValueFormat } from "../core/format.js";
+import { renderLegend, toggleLegendKey } from "../core/Legend.js";
 import { createColorScale } from "../core/colorScale.js";
+import { interpolateAttrs, tween } from "../core/transition.js";
+import { isMissing } from "../core/curves.js";
+import {
+  describeChart,
+  summarizeExtent,
+  bindKeyboardNav,
+} from "../core/a11y.js";
+import { renderDataTable } from "../core/DataTable.js";
 
 /**
  * @typedef {Object} GroupBarDatum
@@ -14,16 +24,26 @@ import { createColorScale } from "../core/colorScale.js";
 
 /**
  * @typedef {Object} ValueAxisOpts
+ * @property {'linear' | 'log' | 'symlog'} [type] - 축 종류 (log는 0 이하 값을 최소값으로 고정)
  * @property {number} [min]
  * @property {number} [max]
  * @property {import('../core/types').YTicks} [ticks]
  * @property {(v: number) => string | number} [formatTick]
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
+ */
+
+/**
+ * @typedef {Object} CategoryAxisOpts
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
  */
 
 /**
  * @typedef {Object} LegendOpts
  * @property {boolean} [show]
  * @property {'top' | 'right'} [position]
+ * @property {boolean} [toggle=true] - 항목 클릭으로 시리즈 표시 전환 (Shift+클릭·더블클릭: 하나만 보기)
  */
 
 /**
@@ -34,35 +54,55 @@ import { createColorScale } from "../core/colorScale.js";
  * @param {Object} props
  * @param {GroupBarDatum[]} props.data - 차트 데이터
  * @param {'vertical' | 'horizontal'} [props.orientation='vertical'] - 차트 방향
+ * @param {'grouped' | 'stacked' | 'percent'} [props.mode='grouped'] - 나란히 / 누적 / 100% 누적 (누적 순서는 seriesOrder)
  * @param {number} [props.width] - 차트 너비 (고정 너비, 없으면 반응형)
  * @param {number} [props.height=360] - 차트 높이
  * @param {string[]} [props.seriesOrder] - 시리즈 순서
  * @param {Record<string, string>} [props.colors] - 시리즈별 색상
  * @param {boolean} [props.rotateLabels=false] - X축 라벨 회전 여부
+ * @param {import('../core/AxisBand').LabelLayout} [props.labelLayout='auto'] - 범주 라벨 겹침 처리 전략
  * @param {number} [props.categoryGap=0.2] - 카테고리 간격 비율
  * @param {number} [props.seriesGap=0.2] - 시리즈 간격 비율
  * @param {ValueAxisOpts} [props.valueAxis] - 값 축 설정
+ * @param {ValueAxisOpts} [props.valueAxisRight] - 보조(오른쪽) 값 축 설정 (세로 방향·grouped 모드에서만 적용)
+ * @param {Record<string, 'left' | 'right'>} [props.seriesAxis] - 시리즈별 값 축 배정 (기본 'left', 보조 축을 쓸 수 없으면 경고 후 왼쪽)
+ * @param {CategoryAxisOpts} [props.categoryAxis] - 범주 축 설정
+ * @param {import('../core/format').ValueFormat} [props.valueFormat] - 값 포맷 (눈금·툴팁 공통)
+ * @param {string | string[]} [props.locale] - 숫자 포맷 로케일
  * @param {Partial<import('../core/types').Padding>} [props.framePadding] - 프레임 패딩
  * @param {Record<string, string>} [props.seriesLabels] - 시리즈 라벨 매핑
  * @param {LegendOpts} [props.legend] - 범례 설정
- * @returns {{ update: (newData: GroupBarDatum[]) => void, destroy: () => void }}
+ * @param {string[]} [props.hidden] - 처음에 숨길 시리즈 키
+ * @param {string} [props.ariaLabel] - 스크린 리더용 차트 이름 (생략 시 '그룹 막대 차트' / '누적 막대 차트')
+ * @param {boolean | import('../core/DataTable').DataTableOpts} [props.dataTable] - 데이터 대체 표 (true면 스크린 리더 전용, { toggle: true }면 보기 버튼)
+ * @returns {{ update: (newData: GroupBarDatum[]) => void, getHidden: () => string[], setHidden: (keys: string[]) => void, destroy: () => void }}
  */
 export function createBarGroupChart(
   container,
   {
     data,
     orientation = "vertical",
+    mode = "grouped",
     width,
     height = 360,
     seriesOrder,
     colors,
     rotateLabels = false,
+    labelLayout = "auto",
     categoryGap = 0.2,
     seriesGap = 0.2,
     valueAxis,
+    valueAxisRight,
+    seriesAxis,
+    categoryAxis,
+    valueFormat,
+    locale,
     framePadding,
     seriesLabels,
     legend = { show: true, position: "top" },
+    hidden,
+    ariaLabel,
+    dataTable,
   }
 ) {
   // 컨테이너 초기화
@@ -84,16 +124,74 @@ export function createBarGroupChart(
   let isAnimated = false;
   let animationFrameId = null;
 
+  // 범례로 숨긴 시리즈와 전환 애니메이션 상태
+  let hiddenKeys = new Set(hidden ?? []);
+  let isTransition = false;
+  let prevGeometry = new Map();
+  let renderedGeometry = new Map();
+  let cancelTransition = null;
+
   const displayOf = (key) => seriesLabels?.[key] ?? key;
 
+  const isStacked = mode === "stacked" || mode === "percent";
+  const isPercent = mode === "percent";
+
+  // 시리즈별 값 축 (보조 축은 세로 방향·grouped 모드에서만 유효)
+  const rightUnsupported = isStacked
+    ? "누적·100% 모드에서는"
+    : orientation !== "vertical"
+    ? "가로 방향에서는"
+    : !valueAxisRight
+    ? "valueAxisRight 없이는"
+    : null;
+  const axisOf = (key) =>
+    !rightUnsupported && seriesAxis?.[key] === "right" ? "right" : "left";
+  if (
+    rightUnsupported &&
+    Object.values(seriesAxis ?? {}).some((side) => side === "right")
+  ) {
+    console.warn(
+      `[vanilla-charts] ${rightUnsupported} 보조 축을 쓸 수 없어 seriesAxis 'right' 시리즈를 왼쪽 축에 표시합니다.`
+    );
+  }
+
+  // 축별 눈금·툴팁 공통 값 포맷
+  const leftFormat = resolveValueFormat(valueAxis, valueFormat, locale);
+  const rightFormat = resolveValueFormat(valueAxisRight, valueFormat, locale);
+  const formatOf = (key) =>
+    axisOf(key) === "right" ? rightFormat.value : leftFormat.value;
+
+  // 100% 모드: 값 축은 비율, 툴팁의 원래 값은 valueFormat으로 표시
+  const axisFormat = isPercent
+    ? resolveValueFormat(valueAxis, { type: "percent", digits: 0 }, locale)
+    : leftFormat;
+  const formatRaw = isPercent
+    ? createFormatter(valueFormat, locale)
+    : leftFormat.value;
+  const formatShare = createFormatter({ type: "percent", digits: 1 }, locale);
+
+  // 숨긴 시리즈 변경 → 보이는 시리즈로 도메인을 다시 계산해 이전 위치에서 전환
+  const applyHidden = (next) => {
+    hiddenKeys = next;
+    prevGeometry = renderedGeometry;
+    isTransition = true;
+    tooltip.style.display = "none";
+    chartWrapper.update();
+    isTransition = false;
+  };
+
   // 차트 래퍼 생성
   const chartWrapper = createChartWrapper(container, {
     width,
     height,
     framePadding,
-    render: ({ innerWidth, innerHeight, svg, g }) => {
+    render: ({ innerWidth, innerHeight, svg, g, growPadding }) => {
       // 기존 내용 제거
       g.innerHTML = "";
+      g.classList.toggle("chart-transition", isTransition);
+      if (cancelTransition) cancelTransition();
+      renderedGeometry = new Map();
+      const transitions = [];
 
       const isVertical = orientation === "vertical";
 
@@ -102,18 +200,77 @@ export function createBarGroupChart(
         seriesOrder ??
         Array.from(new Set(currentData.flatMap((d) => Object.keys(d.values))));
 
+      // 범례에서 숨기지 않은 시리즈만 도메인·막대에 사용
+      const visibleKeys = inferredKeys.filter((k) => !hiddenKeys.has(k));
+
       const labels = currentData.map((d) => d.label);
 
-      // 모든 값 추출
-      const allValues = currentData.flatMap((d) =>
-        inferredKeys.map((k) => d.values[k] ?? 0)
-      );
-      const dataMax = allValues.length ? Math.max(...allValues, 0) : 0;
+      // 누적 구간 (양수는 위/오른쪽, 음수는 아래/왼쪽으로 seriesOrder 순서대로 쌓음)
+      const stacks = currentData.map((d) => {
+        const vals = visibleKeys.map((k) => d.values[k] ?? 0);
+        const total = vals.reduce((acc, v) => acc + v, 0);
+        const absTotal = vals.reduce((acc, v) => acc + Math.abs(v), 0);
+        const segments = {};
+        let pos = 0;
+        let neg = 0;
+        visibleKeys.forEach((k, i) => {
+          const size = isPercent
+            ? absTotal
+              ? vals[i] / absTotal
+              : 0
+            : vals[i];
+          const start = size >= 0 ? pos : neg;
+          if (size >= 0) pos += size;
+          else neg += size;
+          segments[k] = { start, end: start + size };
+        });
+        return { total, absTotal, pos, neg, segments };
+      });
 
-      const vMin = valueAxis?.min ?? 0;
-      const vMaxRaw = valueAxis?.max ?? dataMax;
-      const vMax = vMaxRaw === vMin ? vMin + 1 : vMaxRaw;
-      const ticks = makeTicks(vMin, vMax, valueAxis?.ticks);
+      // 시리즈 값 (grouped 모드 도메인용)
+      const valuesOf = (keys) =>
+        currentData.flatMap((d) => keys.map((k) => d.values[k] ?? 0));
+
+      // 축별 도메인·스케일·기준선 (해당 축에 배정된 값만 사용)
+      const resolveAxis = (axisValues, opts) => {
+        const dataMin = axisValues.length ? Math.min(...axisValues, 0) : 0;
+        const dataMax = axisValues.length ? Math.max(...axisValues, 0) : 0;
+
+        // min/max/ticks 생략 시 보기 좋은 경계와 눈금으로 자동 확장
+        const { min, max, ticks } = resolveValueAxis(
+          dataMin,
+          dataMax,
+          opts,
+          axisValues
+        );
+        const scale = isVertical
+          ? makeScale(opts?.type, min, max, innerHeight, 0)
+          : makeScale(opts?.type, min, max, 0, innerWidth);
+
+        // 막대 기준선 (0이 도메인 밖이면 가까운 경계)
+        const baseline = Math.min(Math.max(0, min), max);
+        return { min, max, ticks, scale, baseline };
+      };
+
+      const rightKeys = visibleKeys.filter((k) => axisOf(k) === "right");
+      const leftValues = isStacked
+        ? stacks.flatMap((s) => [s.pos, s.neg])
+        : valuesOf(visibleKeys.filter((k) => axisOf(k) === "left"));
+      const hasNegative = leftValues.some((v) => v < 0);
+      const leftAxis = resolveAxis(
+        leftValues,
+        isPercent
+          ? {
+              ...valueAxis,
+              min: valueAxis?.min ?? (hasNegative ? -1 : 0),
+              max: valueAxis?.max ?? 1,
+            }
+          : valueAxis
+      );
+      const rightAxis = rightKeys.length
+        ? resolveAxis(valuesOf(rightKeys), valueAxisRight)
+        : null;
+      const axisFor = (key) => (axisOf(key) === "right" ? rightAxis : leftAxis);
 
       // 색상 스케일
       const colorOf = createColorScale(inferredKeys, colors);
@@ -130,6 +287,20 @@ export function createBarGroupChart(
             seriesLabels ?? Object.fromEntries(inferredKeys.map((k) => [k, k])),
           getColor: colorOf,
           position: legend.position ?? "top",
+          hidden: hiddenKeys,
+          onToggle:
+            legend.toggle === false
+              ? undefined
+              : (key, isolate) => {
+                  applyHidden(
+                    toggleLegendKey(hiddenKeys, key, inferredKeys, isolate)
+                  );
+                  container.dispatchEvent(
+                    new CustomEvent("legendchange", {
+                      detail: { key, hidden: [...hiddenKeys] },
+                    })
+                  );
+                },
         });
         // 툴팁 다음, SVG 래퍼 앞에 삽입
         const svgWrapper = container.querySelector("div:not(.chart-tooltip)");
@@ -147,27 +318,48 @@ export function createBarGroupChart(
       const outer = isVertical
         ? bandScale(labels, 0, innerWidth, categoryGap)
         : bandScale(labels, 0, innerHeight, categoryGap);
-      const inner = bandScale(inferredKeys, 0, outer.bandWidth, seriesGap);
-
-      // 값 축 스케일
-      const valueScale = isVertical
-        ? linearScale(vMin, vMax, innerHeight, 0)
-        : linearScale(vMin, vMax, 0, innerWidth);
+      const inner = bandScale(visibleKeys, 0, outer.bandWidth, seriesGap);
 
       // 1) 값 축
       const axisLinearG = document.createElementNS(
         "http://www.w3.org/2000/svg",
         "g"
       );
-      renderAxisLinear(axisLinearG, {
-        ticks,
-        scale: valueScale,
+      const { size: linearAxisSize } = renderAxisLinear(axisLinearG, {
+        ticks: leftAxis.ticks,
+        scale: leftAxis.scale,
         length: isVertical ? innerWidth : innerHeight,
         side: isVertical ? "left" : "bottom",
         grid: true,
-        formatTick: valueAxis?.formatTick,
+        formatTick: axisFormat.tick,
+        type: valueAxis?.type,
+        zeroLine: leftAxis.min < 0 && leftAxis.max > 0,
+        title: formatAxisTitle(valueAxis),
+        extent: isVertical ? innerHeight : innerWidth,
       });
       g.appendChild(axisLinearG);
+      growPadding(isVertical ? "left" : "bottom", linearAxisSize + 4);
+
+      // 1-1) 보조 값 축 (오른쪽)
+      if (rightAxis) {
+        const axisRightG = document.createElementNS(
+          "http://www.w3.org/2000/svg",
+          "g"
+        );
+        const { size: rightAxisSize } = renderAxisLinear(axisRightG, {
+          ticks: rightAxis.ticks,
+          scale: rightAxis.scale,
+          length: innerWidth,
+          side: "right",
+          grid: false,
+          formatTick: rightFormat.tick,
+          type: valueAxisRight.type,
+          title: formatAxisTitle(valueAxisRight),
+          extent: innerHeight,
+        });
+        g.appendChild(axisRightG);
+        growPadding("right", rightAxisSize + 4);
+      }
 
       // 2) 범주 축
       const axisBandG = document.createElementNS(
@@ -177,67 +369,104 @@ export function createBarGroupChart(
       if (isVertical) {
         axisBandG.setAttribute("transform", `translate(0, ${innerHeight})`);
       }
-      renderAxisBand(axisBandG, {
+      const { size: bandAxisSize } = renderAxisBand(axisBandG, {
         labels,
         getPos: outer.getX,
         bandWidth: outer.bandWidth,
         side: isVertical ? "bottom" : "left",
         rotate: rotateLabels,
+        layout: labelLayout,
         tickPadding: 20,
+        title: formatAxisTitle(categoryAxis),
+        extent: isVertical ? innerWidth : innerHeight,
       });
       g.appendChild(axisBandG);
+      // 회전·긴 라벨, 축 제목이 잘리지 않도록 여백 확보
+      growPadding(isVertical ? "bottom" : "left", bandAxisSize + 4);
 
-      // 3) 그룹 막대 그리기
+      // 3) 그룹 막대 그리기 (키보드 탐색용 [시리즈][범주] 배열)
+      const marks = visibleKeys.map(() => []);
       currentData.forEach((d, gi) => {
         const base = outer.getX(d.label);
+        const stack = stacks[gi];
+
+        visibleKeys.forEach((key, si) => {
+          const val = d.values[key] ?? 0;
+          const { scale: valueScale, baseline } = axisFor(key);
 
-        inferredKeys.forEach((key, si) => {
-          const val = Math.max(0, d.values[key] ?? 0);
+          // 막대 위치: grouped는 안쪽 밴드, 누적은 바깥 밴드 전체
+          const bandPos = isStacked ? base : base + inner.getX(key);
+          const bandSize = isStacked ? outer.bandWidth : inner.bandWidth;
+          const { start, end } = isStacked
+            ? stack.segments[key]
+            : { start: baseline, end: val };
+          const p0 = valueScale(start);
+          const p1 = valueScale(end);
 
           const rect = document.createElementNS(
             "http://www.w3.org/2000/svg",
             "rect"
           );
           rect.setAttribute("fill", colorOf(key));
-          rect.setAttribute("rx", "6");
+          rect.setAttribute("rx", isStacked ? "2" : "6");
           rect.classList.add("bar");
+          if (end < start) rect.classList.add("bar--negative");
           rect.style.transitionDelay = `${
-            (gi * inferredKeys.length + si) * 30
+            (gi * visibleKeys.length + si) * 30
           }ms`;
 
-          if (isVertical) {
-            const x = base + inner.getX(key);
-            const bw = inner.bandWidth;
-            const y1 = valueScale(val);
-            const h = innerHeight - y1;
+          const geometry = isVertical
+            ? {
+                x: bandPos,
+                y: Math.min(p0, p1),
+                width: bandSize,
+                height: Math.abs(p0 - p1),
+              }
+            : {
+                x: Math.min(p0, p1),
+                y: bandPos,
+                width: Math.abs(p1 - p0),
+                height: bandSize,
+              };
+          Object.entries(geometry).forEach(([name, v]) =>
+            rect.setAttribute(name, v)
+          );
 
-            rect.setAttribute("x", x);
-            rect.setAttribute("y", y1);
-            rect.setAttribute("width", bw);
-            rect.setAttribute("height", h);
-          } else {
-            const yPos = base + inner.getX(key);
-            const bh = inner.bandWidth;
-            const x0 = valueScale(0);
-            const x1 = valueScale(val);
-            const x = Math.min(x0, x1);
-            const w = Math.abs(x1 - x0);
-
-            rect.setAttribute("x", x);
-            rect.setAttribute("y", yPos);
-            rect.setAttribute("width", w);
-            rect.setAttribute("height", bh);
+          // 전환: 이전 위치에서 이동, 새로 보이는 시리즈는 나타남
+          const geometryKey = `${d.label}\u0000${key}`;
+          renderedGeometry.set(geometryKey, geometry);
+          if (isTransition) {
+            const prev = prevGeometry.get(geometryKey);
+            transitions.push(
+              prev
+                ? interpolateAttrs(rect, prev, geometry)
+                : interpolateAttrs(rect, { opacity: 0 }, { opacity: 1 })
+            );
           }
 
           // 툴팁 이벤트
+          let html;
+          if (isStacked) {
+            // 누적: 구간 값, 카테고리 내 비율, 카테고리 합계
+            const share = stack.absTotal ? Math.abs(val) / stack.absTotal : 0;
+            html = `<strong>${d.label}</strong> · ${displayOf(
+              key
+            )} : ${formatRaw(val)} (${formatShare(
+              share
+            )})<br />합계 : ${formatRaw(stack.total)}`;
+          } else {
+            html = `<strong>${d.label}</strong> · ${displayOf(
+              key
+            )} : ${formatOf(key)(val)}`;
+          }
+          marks[si][gi] = { el: rect, html };
+
           rect.addEventListener("mouseenter", (e) => {
             const containerRect = container.getBoundingClientRect();
             tooltip.style.display = "block";
             tooltip.style.left = `${e.clientX - containerRect.left}px`;
             tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
-            tooltip.innerHTML = `<strong>${d.label}</strong> · ${displayOf(
-              key
-            )} : ${val.toLocaleString()}`;
+            tooltip.innerHTML = html;
           });
 
           rect.addEventListener("mousemove", (e) => {
@@ -254,6 +483,59 @@ export function createBarGroupChart(
         });
       });
 
+      // 접근성: 차트 이름·요약, 막대 키보드 탐색 (범주 방향 ↔ 시리즈 방향), 데이터 표
+      const chartLabel =
+        ariaLabel ?? (isStacked ? "누적 막대 차트" : "그룹 막대 차트");
+      describeChart(svg, {
+        label: chartLabel,
+        summary: [
+          `범주 ${labels.length}개, 시리즈 ${visibleKeys
+            .map(displayOf)
+            .join(", ")}`,
+          summarizeExtent(
+            currentData.flatMap((d) =>
+              visibleKeys.map((k) => ({
+                label: `${d.label} ${displayOf(k)}`,
+                value: d.values[k],
+              }))
+            ),
+            formatRaw
+          ),
+        ],
+      });
+      bindKeyboardNav(marks, {
+        tooltip,
+        categoryAxis: isVertical ? "x" : "y",
+      });
+      // 누적 모드는 범주 내 비율과 합계도 표시
+      renderDataTable(container, svg, dataTable, {
+        caption: chartLabel,
+        columns: [
+          formatAxisTitle(categoryAxis) || "항목",
+          ...visibleKeys.map(displayOf),
+          ...(isStacked ? ["합계"] : []),
+        ],
+        rows: currentData.map((d, gi) => {
+          const stack = stacks[gi];
+          const cells = visibleKeys.map((key) => {
+            const val = d.values[key];
+            if (isMissing(val)) return "";
+            if (!isStacked) return formatOf(key)(val);
+            const share = stack.absTotal ? Math.abs(val) / stack.absTotal : 0;
+            return `${formatRaw(val)} (${formatShare(share)})`;
+          });
+          return [
+            d.label,
+            ...cells,
+            ...(isStacked ? [formatRaw(stack.total)] : []),
+          ];
+        }),
+      });
+
+      if (transitions.length) {
+        cancelTransition = tween((t) => transitions.forEach((step) => step(t)));
+      }
+
       // 리사이징 후에도 애니메이션 적용
       if (!isAnimated) {
         requestAnimationFrame(() => {
@@ -283,11 +565,28 @@ export function createBarGroupChart(
       chartWrapper.update();
     },
 
+    /**
+     * 범례로 숨긴 시리즈 키
+     * @returns {string[]}
+     */
+    getHidden() {
+      return [...hiddenKeys];
+    },
+
+    /**
+     * 숨길 시리즈 지정 (legendchange 이벤트는 발생하지 않음)
+     * @param {string[]} keys
+     */
+    setHidden(keys) {
+      applyHidden(new Set(keys));
+    },
+
     /**
      * 차트 제거
      */
     destroy() {
       if (animationFrameId) cancelAnimationFrame(animationFrameId);
+      if (cancelTransition) cancelTransition();
       chartWrapper.destroy();
     },
   };
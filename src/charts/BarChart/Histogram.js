@@ -0,0 +1,304 @@
+import { createChartWrapper } from "../core/ChartWrapper.js";
+import { makeScale, linearScale } from "../core/scales.js";
+import { resolveValueAxis, makeTicks } from "../core/ticks.js";
+import { renderAxisLinear } from "../core/AxisLinear.js";
+import { formatAxisTitle } from "../core/AxisTitle.js";
+import { createFormatter, resolveValueFormat } from "../core/format.js";
+import { computeBins } from "../core/bins.js";
+import { describeChart, bindKeyboardNav } from "../core/a11y.js";
+import { renderDataTable } from "../core/DataTable.js";
+
+/**
+ * @typedef {Object} ValueAxisOpts
+ * @property {'linear' | 'log' | 'symlog'} [type] - 축 종류 (log는 0 이하 값을 최소값으로 고정)
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {import('../core/types').YTicks} [ticks]
+ * @property {(v: number) => string | number} [formatTick]
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
+ */
+
+/**
+ * @typedef {Object} SampleAxisOpts
+ * @property {import('../core/types').YTicks} [ticks] - 눈금 (생략 시 구간 경계 범위에서 자동)
+ * @property {(v: number) => string | number} [formatTick]
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
+ */
+
+/**
+ * createHistogram
+ * 원시 값의 분포를 구간별 막대로 표시하는 히스토그램 생성
+ *
+ * @param {HTMLElement} container - 차트를 그릴 컨테이너
+ * @param {Object} props
+ * @param {number[]} props.values - 원시 값 배열
+ * @param {import('../core/bins').BinsOpt} [props.bins='sturges'] - 구간 설정 (자동 / 개수 / 폭 / 경계값)
+ * @param {number} [props.width] - 차트 너비 (고정 너비, 없으면 반응형)
+ * @param {number} [props.height=360] - 차트 높이
+ * @param {string} [props.barColor='#73a7d9'] - 막대 색상
+ * @param {boolean} [props.cumulative=false] - 누적 개수로 표시
+ * @param {boolean} [props.density=false] - 밀도로 표시 (개수 / (전체 개수 × 구간 폭), cumulative와 함께면 누적 비율)
+ * @param {SampleAxisOpts} [props.xAxis] - 값(X) 축 설정
+ * @param {ValueAxisOpts} [props.valueAxis] - 빈도(Y) 축 설정
+ * @param {import('../core/format').ValueFormat} [props.valueFormat] - 원시 값 포맷 (X축 눈금·툴팁 구간)
+ * @param {string | string[]} [props.locale] - 숫자 포맷 로케일
+ * @param {Partial<import('../core/types').Padding>} [props.framePadding] - 프레임 패딩
+ * @param {string} [props.ariaLabel] - 스크린 리더용 차트 이름 (생략 시 '히스토그램')
+ * @param {boolean | import('../core/DataTable').DataTableOpts} [props.dataTable] - 데이터 대체 표 (true면 스크린 리더 전용, { toggle: true }면 보기 버튼)
+ * @returns {{ update: (newValues: number[]) => void, destroy: () => void }}
+ */
+export function createHistogram(
+  container,
+  {
+    values,
+    bins = "sturges",
+    width,
+    height = 360,
+    barColor = "#73a7d9",
+    cumulative = false,
+    density = false,
+    xAxis,
+    valueAxis,
+    valueFormat,
+    locale,
+    framePadding,
+    ariaLabel,
+    dataTable,
+  }
+) {
+  // 컨테이너 초기화
+  container.innerHTML = "";
+  container.style.position = "relative";
+  container.classList.add("chart-wrapper", "bar-chart--vert");
+
+  // 툴팁 생성
+  const tooltip = document.createElement("div");
+  tooltip.className = "chart-tooltip";
+  tooltip.style.cssText =
+    "display: none; position: absolute; pointer-events: none;";
+  container.appendChild(tooltip);
+
+  let currentValues = values;
+  let isAnimated = false;
+
+  // X: 원시 값 포맷 / Y: 개수(누적 비율이면 %) 포맷
+  const xFormat = resolveValueFormat(xAxis, valueFormat, locale);
+  const yFormat = resolveValueFormat(
+    valueAxis,
+    cumulative && density ? { type: "percent", digits: 0 } : undefined,
+    locale
+  );
+  const formatCount = createFormatter("number", locale);
+  const formatDensity = createFormatter({ type: "number", digits: 4 }, locale);
+  const formatShare = createFormatter({ type: "percent", digits: 1 }, locale);
+
+  // 차트 래퍼 생성
+  const chartWrapper = createChartWrapper(container, {
+    width,
+    height,
+    framePadding,
+    render: ({ innerWidth, innerHeight, svg, g, growPadding }) => {
+      // 기존 내용 제거
+      g.innerHTML = "";
+
+      // 구간 집계 및 막대 높이 값
+      const binList = computeBins(currentValues, bins);
+      const total = binList.reduce((acc, b) => acc + b.count, 0);
+      let running = 0;
+      const rows = binList.map((b) => {
+        running += b.count;
+        const count = cumulative ? running : b.count;
+        let value = count;
+        if (density && total) {
+          value = cumulative ? count / total : count / (total * (b.x1 - b.x0));
+        }
+        return { ...b, running, value };
+      });
+
+      // X 도메인 = 첫 경계 ~ 마지막 경계
+      const x0 = rows.length ? rows[0].x0 : 0;
+      const x1 = rows.length ? rows[rows.length - 1].x1 : 1;
+      const xScale = linearScale(x0, x1 === x0 ? x0 + 1 : x1, 0, innerWidth);
+      const xTicks = makeTicks(x0, x1, xAxis?.ticks);
+
+      // Y 도메인 (0부터, 생략 시 보기 좋은 경계로 확장)
+      const heights = rows.map((r) => r.value);
+      const dataMax = heights.length ? Math.max(...heights, 0) : 0;
+      const {
+        min: vMin,
+        max: vMax,
+        ticks,
+      } = resolveValueAxis(
+        0,
+        cumulative && density ? 1 : dataMax,
+        valueAxis,
+        heights
+      );
+      const yScale = makeScale(valueAxis?.type, vMin, vMax, innerHeight, 0);
+      const basePos = yScale(Math.min(Math.max(0, vMin), vMax));
+
+      // 1) Y축
+      const axisYG = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "g"
+      );
+      const { size: yAxisSize } = renderAxisLinear(axisYG, {
+        ticks,
+        scale: yScale,
+        length: innerWidth,
+        side: "left",
+        grid: true,
+        formatTick: yFormat.tick,
+        type: valueAxis?.type,
+        title: formatAxisTitle(valueAxis),
+        extent: innerHeight,
+      });
+      g.appendChild(axisYG);
+      growPadding("left", yAxisSize + 4);
+
+      // 2) X축 (연속 값 축)
+      const axisXG = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "g"
+      );
+      const { size: xAxisSize } = renderAxisLinear(axisXG, {
+        ticks: xTicks,
+        scale: xScale,
+        length: innerHeight,
+        side: "bottom",
+        grid: false,
+        formatTick: xFormat.tick,
+        title: formatAxisTitle(xAxis),
+        extent: innerWidth,
+      });
+      g.appendChild(axisXG);
+      growPadding("bottom", xAxisSize + 4);
+
+      // 3) 막대 (구간 경계에 맞춰 빈틈 없이)
+      const marks = [];
+      rows.forEach((r, i) => {
+        const left = xScale(r.x0);
+        const right = xScale(r.x1);
+        const top = yScale(r.value);
+
+        const rect = document.createElementNS(
+          "http://www.w3.org/2000/svg",
+          "rect"
+        );
+        rect.setAttribute("x", left);
+        rect.setAttribute("y", Math.min(top, basePos));
+        rect.setAttribute("width", Math.max(0, right - left));
+        rect.setAttribute("height", Math.abs(basePos - top));
+        rect.setAttribute("fill", barColor);
+        rect.setAttribute("stroke", "#fff");
+        rect.setAttribute("stroke-width", "1");
+        rect.classList.add("bar", "histogram-bar");
+        rect.style.transitionDelay = `${i * 20}ms`;
+
+        // 툴팁 이벤트 (구간 범위와 개수)
+        const closing = i === rows.length - 1 ? "]" : ")";
+        const lines = [`개수 : ${formatCount(r.count)}`];
+        if (cumulative) lines.push(`누적 : ${formatCount(r.running)}`);
+        if (density && total) {
+          lines.push(
+            cumulative
+              ? `누적 비율 : ${formatShare(r.value)}`
+              : `밀도 : ${formatDensity(r.value)}`
+          );
+        }
+        const html = `<strong>[${xFormat.value(r.x0)}, ${xFormat.value(
+          r.x1
+        )}${closing}</strong><br />${lines.join("<br />")}`;
+        marks.push({ el: rect, html });
+
+        rect.addEventListener("mouseenter", (e) => {
+          const containerRect = container.getBoundingClientRect();
+          tooltip.style.display = "block";
+          tooltip.style.left = `${e.clientX - containerRect.left}px`;
+          tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
+          tooltip.innerHTML = html;
+        });
+
+        rect.addEventListener("mousemove", (e) => {
+          const containerRect = container.getBoundingClientRect();
+          tooltip.style.left = `${e.clientX - containerRect.left}px`;
+          tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
+        });
+
+        rect.addEventListener("mouseleave", () => {
+          tooltip.style.display = "none";
+        });
+
+        g.appendChild(rect);
+      });
+
+      // 접근성: 차트 이름·요약, 구간 키보드 탐색, 데이터 표
+      const chartLabel = ariaLabel ?? "히스토그램";
+      describeChart(svg, {
+        label: chartLabel,
+        summary: [
+          `표본 ${formatCount(total)}개, 구간 ${rows.length}개`,
+          rows.length ? `범위 ${xFormat.value(x0)} ~ ${xFormat.value(x1)}` : "",
+        ],
+      });
+      bindKeyboardNav([marks], { tooltip });
+      const showShare = density && total;
+      renderDataTable(container, svg, dataTable, {
+        caption: chartLabel,
+        columns: [
+          formatAxisTitle(xAxis) || "구간",
+          "개수",
+          ...(cumulative ? ["누적"] : []),
+          ...(showShare ? [cumulative ? "누적 비율" : "밀도"] : []),
+        ],
+        rows: rows.map((r, i) => [
+          `[${xFormat.value(r.x0)}, ${xFormat.value(r.x1)}${
+            i === rows.length - 1 ? "]" : ")"
+          }`,
+          formatCount(r.count),
+          ...(cumulative ? [formatCount(r.running)] : []),
+          ...(showShare
+            ? [cumulative ? formatShare(r.value) : formatDensity(r.value)]
+            : []),
+        ]),
+      });
+
+      // 리사이징 후에도 애니메이션 적용
+      if (!isAnimated) {
+        requestAnimationFrame(() => {
+          requestAnimationFrame(() => {
+            isAnimated = true;
+            const bars = container.querySelectorAll(".bar");
+            bars.forEach((bar) => bar.classList.add("bar--animated"));
+          });
+        });
+      } else {
+        // 이미 애니메이션된 경우 즉시 적용
+        requestAnimationFrame(() => {
+          const bars = g.querySelectorAll(".bar");
+          bars.forEach((bar) => bar.classList.add("bar--animated"));
+        });
+      }
+    },
+  });
+
+  return {
+    /**
+     * 데이터 업데이트
+     * @param {number[]} newValues
+     */
+    update(newValues) {
+      currentValues = newValues;
+      chartWrapper.update();
+    },
+
+    /**
+     * 차트 제거
+     */
+    destroy() {
+      chartWrapper.destroy();
+    },
+  };
+}
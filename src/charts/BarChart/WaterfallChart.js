@@ -0,0 +1,433 @@
+import { createChartWrapper } from "../core/ChartWrapper.js";
+import { makeScale, bandScale } from "../core/scales.js";
+import { resolveValueAxis } from "../core/ticks.js";
+import { renderAxisLinear } from "../core/AxisLinear.js";
+import { renderAxisBand } from "../core/AxisBand.js";
+import { formatAxisTitle } from "../core/AxisTitle.js";
+import { resolveValueFormat } from "../core/format.js";
+import { renderLegend } from "../core/Legend.js";
+import { describeChart, bindKeyboardNav } from "../core/a11y.js";
+import { renderDataTable } from "../core/DataTable.js";
+
+/**
+ * 워터폴 막대 한 개
+ * - `{ label, value }`                증감: 직전 누적값에서 value만큼 떠 있는 막대
+ * - `{ label, value, total: true }`   잔액: 0에서 value까지 (기초 잔액 등, 누적값을 value로 재설정)
+ * - `{ label, total: true }`          소계: 0에서 현재 누적값까지
+ *
+ * @typedef {Object} WaterfallDatum
+ * @property {string} label
+ * @property {number} [value]
+ * @property {boolean} [total]
+ */
+
+/**
+ * @typedef {Object} WaterfallColors
+ * @property {string} [increase='#95d1a9'] - 증가 막대
+ * @property {string} [decrease='#ff9b66'] - 감소 막대
+ * @property {string} [total='#73a7d9'] - 잔액·소계 막대
+ */
+
+/**
+ * @typedef {Object} ValueAxisOpts
+ * @property {'linear' | 'log' | 'symlog'} [type] - 축 종류 (log는 0 이하 값을 최소값으로 고정)
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {import('../core/types').YTicks} [ticks]
+ * @property {(v: number) => string | number} [formatTick]
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
+ */
+
+/**
+ * @typedef {Object} CategoryAxisOpts
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
+ */
+
+/**
+ * @typedef {Object} LegendOpts
+ * @property {boolean} [show]
+ * @property {'top' | 'right'} [position]
+ */
+
+/** 막대 종류별 범례 라벨 */
+const KIND_LABELS = { increase: "증가", decrease: "감소", total: "합계" };
+
+/**
+ * createWaterfallChart
+ * 누적 증감을 보여주는 워터폴(브리지) 차트 생성
+ *
+ * @param {HTMLElement} container - 차트를 그릴 컨테이너
+ * @param {Object} props
+ * @param {WaterfallDatum[]} props.data - 차트 데이터 (순서대로 누적)
+ * @param {'vertical' | 'horizontal'} [props.orientation='vertical'] - 차트 방향
+ * @param {number} [props.width] - 차트 너비 (고정 너비, 없으면 반응형)
+ * @param {number} [props.height=360] - 차트 높이
+ * @param {WaterfallColors} [props.colors] - 증가 / 감소 / 합계 색상
+ * @param {boolean} [props.connectors=true] - 막대 끝을 잇는 연결선 표시
+ * @param {boolean} [props.showValues=false] - 막대 끝에 값 표시 (증감은 부호 포함)
+ * @param {boolean} [props.rotateLabels=false] - X축 라벨 회전 여부
+ * @param {import('../core/AxisBand').LabelLayout} [props.labelLayout='auto'] - 범주 라벨 겹침 처리 전략
+ * @param {number} [props.categoryGap=0.3] - 카테고리 간격 비율
+ * @param {ValueAxisOpts} [props.valueAxis] - 값 축 설정
+ * @param {CategoryAxisOpts} [props.categoryAxis] - 범주 축 설정
+ * @param {import('../core/format').ValueFormat} [props.valueFormat] - 값 포맷 (눈금·툴팁 공통)
+ * @param {string | string[]} [props.locale] - 숫자 포맷 로케일
+ * @param {Partial<import('../core/types').Padding>} [props.framePadding] - 프레임 패딩
+ * @param {LegendOpts} [props.legend] - 범례 설정
+ * @param {string} [props.ariaLabel] - 스크린 리더용 차트 이름 (생략 시 '폭포 차트')
+ * @param {boolean | import('../core/DataTable').DataTableOpts} [props.dataTable] - 데이터 대체 표 (true면 스크린 리더 전용, { toggle: true }면 보기 버튼)
+ * @returns {{ update: (newData: WaterfallDatum[]) => void, destroy: () => void }}
+ */
+export function createWaterfallChart(
+  container,
+  {
+    data,
+    orientation = "vertical",
+    width,
+    height = 360,
+    colors,
+    connectors = true,
+    showValues = false,
+    rotateLabels = false,
+    labelLayout = "auto",
+    categoryGap = 0.3,
+    valueAxis,
+    categoryAxis,
+    valueFormat,
+    locale,
+    framePadding,
+    legend = { show: true, position: "top" },
+    ariaLabel,
+    dataTable,
+  }
+) {
+  // 컨테이너 초기화
+  container.innerHTML = "";
+  container.style.position = "relative";
+  container.classList.add(
+    "chart-wrapper",
+    orientation === "vertical" ? "bar-chart--vert" : "bar-chart--hori"
+  );
+
+  // 툴팁 생성
+  const tooltip = document.createElement("div");
+  tooltip.className = "chart-tooltip";
+  tooltip.style.cssText =
+    "display: none; position: absolute; pointer-events: none;";
+  container.appendChild(tooltip);
+
+  let currentData = data;
+  let isAnimated = false;
+
+  const palette = {
+    increase: "#95d1a9",
+    decrease: "#ff9b66",
+    total: "#73a7d9",
+    ...colors,
+  };
+
+  // 눈금·툴팁 공통 값 포맷 (증감은 부호 포함)
+  const format = resolveValueFormat(valueAxis, valueFormat, locale);
+  const formatDelta = (v) => `${v > 0 ? "+" : ""}${format.value(v)}`;
+
+  // 차트 래퍼 생성
+  const chartWrapper = createChartWrapper(container, {
+    width,
+    height,
+    framePadding,
+    render: ({ innerWidth, innerHeight, svg, g, growPadding }) => {
+      // 기존 내용 제거
+      g.innerHTML = "";
+
+      // 누적값으로 막대 시작·끝 계산
+      let running = 0;
+      const steps = currentData.map((d) => {
+        const value = Number.isFinite(d.value) ? d.value : 0;
+        if (d.total) {
+          if (Number.isFinite(d.value)) running = d.value;
+          return { d, kind: "total", start: 0, end: running, delta: running };
+        }
+        const start = running;
+        running += value;
+        return {
+          d,
+          kind: value < 0 ? "decrease" : "increase",
+          start,
+          end: running,
+          delta: value,
+        };
+      });
+
+      // 범례 렌더링 (데이터에 있는 종류만)
+      const kinds = ["increase", "decrease", "total"].filter((k) =>
+        steps.some((s) => s.kind === k)
+      );
+      const existingLegends = container.querySelectorAll(".chart-legend");
+      existingLegends.forEach((el) => el.remove());
+      if (legend?.show && kinds.length) {
+        const legendEl = renderLegend(null, {
+          seriesOrder: kinds,
+          seriesLabels: KIND_LABELS,
+          getColor: (k) => palette[k],
+          position: legend.position ?? "top",
+        });
+        // 툴팁 다음, SVG 래퍼 앞에 삽입
+        const svgWrapper = container.querySelector("div:not(.chart-tooltip)");
+        if (svgWrapper) {
+          container.insertBefore(legendEl, svgWrapper);
+        } else {
+          container.appendChild(legendEl);
+        }
+      }
+
+      // 도메인: 원시 값이 아닌 누적값의 범위 (0 포함)
+      const labels = currentData.map((d) => d.label);
+      const cumulative = steps.flatMap((s) => [s.start, s.end]);
+      const dataMin = cumulative.length ? Math.min(...cumulative, 0) : 0;
+      const dataMax = cumulative.length ? Math.max(...cumulative, 0) : 0;
+
+      const isVertical = orientation === "vertical";
+      // min/max/ticks 생략 시 보기 좋은 경계와 눈금으로 자동 확장
+      const {
+        min: vMin,
+        max: vMax,
+        ticks,
+      } = resolveValueAxis(dataMin, dataMax, valueAxis, cumulative);
+
+      // 스케일 생성
+      const band = isVertical
+        ? bandScale(labels, 0, innerWidth, categoryGap)
+        : bandScale(labels, 0, innerHeight, categoryGap);
+
+      const valueScale = isVertical
+        ? makeScale(valueAxis?.type, vMin, vMax, innerHeight, 0)
+        : makeScale(valueAxis?.type, vMin, vMax, 0, innerWidth);
+      const clamp = (v) => Math.min(Math.max(v, vMin), vMax);
+      const pos = (v) => valueScale(clamp(v));
+
+      // 1) 값 축
+      const axisLinearG = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "g"
+      );
+      const { size: linearAxisSize } = renderAxisLinear(axisLinearG, {
+        ticks,
+        scale: valueScale,
+        length: isVertical ? innerWidth : innerHeight,
+        side: isVertical ? "left" : "bottom",
+        grid: true,
+        formatTick: format.tick,
+        type: valueAxis?.type,
+        zeroLine: vMin < 0 && vMax > 0,
+        title: formatAxisTitle(valueAxis),
+        extent: isVertical ? innerHeight : innerWidth,
+      });
+      g.appendChild(axisLinearG);
+      growPadding(isVertical ? "left" : "bottom", linearAxisSize + 4);
+
+      // 2) 범주 축
+      const axisBandG = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "g"
+      );
+      if (isVertical) {
+        axisBandG.setAttribute("transform", `translate(0, ${innerHeight})`);
+      }
+      const { size: bandAxisSize } = renderAxisBand(axisBandG, {
+        labels,
+        getPos: band.getX,
+        bandWidth: band.bandWidth,
+        side: isVertical ? "bottom" : "left",
+        rotate: rotateLabels,
+        layout: labelLayout,
+        tickPadding: 20,
+        title: formatAxisTitle(categoryAxis),
+        extent: isVertical ? innerWidth : innerHeight,
+      });
+      g.appendChild(axisBandG);
+      // 회전·긴 라벨, 축 제목이 잘리지 않도록 여백 확보
+      growPadding(isVertical ? "bottom" : "left", bandAxisSize + 4);
+
+      // 3) 연결선: 막대 끝(누적값)에서 다음 막대 시작까지
+      if (connectors) {
+        steps.forEach((s, i) => {
+          const next = steps[i + 1];
+          if (!next) return;
+          // 잔액 막대가 누적값을 재설정하면 잇지 않음
+          if (next.kind === "total" && next.end !== s.end) return;
+
+          const from = band.getX(s.d.label) + band.bandWidth;
+          const to = band.getX(next.d.label);
+          const v = pos(s.end);
+          const line = document.createElementNS(
+            "http://www.w3.org/2000/svg",
+            "line"
+          );
+          line.setAttribute("x1", isVertical ? from : v);
+          line.setAttribute("y1", isVertical ? v : from);
+          line.setAttribute("x2", isVertical ? to : v);
+          line.setAttribute("y2", isVertical ? v : to);
+          line.setAttribute("stroke", "#9ca3af");
+          line.setAttribute("stroke-dasharray", "3 3");
+          line.classList.add("waterfall-connector");
+          g.appendChild(line);
+        });
+      }
+
+      // 4) 막대
+      const marks = [];
+      steps.forEach((s, i) => {
+        const { d, kind, start, end, delta } = s;
+        // 감소(또는 음수 잔액)는 시작점에서 아래/왼쪽으로 자람
+        const isNegative = end < start;
+
+        const rect = document.createElementNS(
+          "http://www.w3.org/2000/svg",
+          "rect"
+        );
+        rect.setAttribute("fill", palette[kind]);
+        rect.setAttribute("rx", "3");
+        rect.classList.add("bar", `waterfall-bar--${kind}`);
+        if (isNegative) rect.classList.add("bar--negative");
+        rect.style.transitionDelay = `${i * 40}ms`;
+
+        const bandPos = band.getX(d.label);
+        const bw = band.bandWidth;
+        const p0 = pos(start);
+        const p1 = pos(end);
+
+        if (isVertical) {
+          rect.setAttribute("x", bandPos);
+          rect.setAttribute("y", Math.min(p0, p1));
+          rect.setAttribute("width", bw);
+          rect.setAttribute("height", Math.abs(p1 - p0));
+        } else {
+          rect.setAttribute("x", Math.min(p0, p1));
+          rect.setAttribute("y", bandPos);
+          rect.setAttribute("width", Math.abs(p1 - p0));
+          rect.setAttribute("height", bw);
+        }
+
+        // 툴팁 이벤트
+        const html =
+          kind === "total"
+            ? `<strong>${d.label}</strong> · ${format.value(end)}`
+            : `<strong>${d.label}</strong> · ${formatDelta(
+                delta
+              )}<br />누적 : ${format.value(end)}`;
+        marks.push({ el: rect, html });
+
+        rect.addEventListener("mouseenter", (e) => {
+          const containerRect = container.getBoundingClientRect();
+          tooltip.style.display = "block";
+          tooltip.style.left = `${e.clientX - containerRect.left}px`;
+          tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
+          tooltip.innerHTML = html;
+        });
+
+        rect.addEventListener("mousemove", (e) => {
+          const containerRect = container.getBoundingClientRect();
+          tooltip.style.left = `${e.clientX - containerRect.left}px`;
+          tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
+        });
+
+        rect.addEventListener("mouseleave", () => {
+          tooltip.style.display = "none";
+        });
+
+        g.appendChild(rect);
+
+        // 값 라벨 (막대 끝 바깥쪽)
+        if (showValues) {
+          const text = document.createElementNS(
+            "http://www.w3.org/2000/svg",
+            "text"
+          );
+          const outward = isNegative ? 1 : -1;
+          if (isVertical) {
+            text.setAttribute("x", bandPos + bw / 2);
+            text.setAttribute("y", p1 + outward * 6);
+            text.setAttribute("text-anchor", "middle");
+            text.setAttribute(
+              "dominant-baseline",
+              isNegative ? "hanging" : "auto"
+            );
+          } else {
+            text.setAttribute("x", p1 - outward * 6);
+            text.setAttribute("y", bandPos + bw / 2);
+            text.setAttribute("text-anchor", isNegative ? "end" : "start");
+            text.setAttribute("dominant-baseline", "middle");
+          }
+          text.setAttribute("font-size", 11);
+          text.setAttribute("fill", "#555");
+          text.classList.add("waterfall-value");
+          text.textContent =
+            kind === "total" ? format.value(end) : formatDelta(delta);
+          g.appendChild(text);
+        }
+      });
+
+      // 접근성: 차트 이름·요약, 막대 키보드 탐색, 데이터 표
+      const chartLabel = ariaLabel ?? "폭포 차트";
+      describeChart(svg, {
+        label: chartLabel,
+        summary: [
+          `항목 ${steps.length}개`,
+          steps.length
+            ? `최종 누적 ${format.value(steps[steps.length - 1].end)}`
+            : "",
+        ],
+      });
+      bindKeyboardNav([marks], {
+        tooltip,
+        categoryAxis: isVertical ? "x" : "y",
+      });
+      renderDataTable(container, svg, dataTable, {
+        caption: chartLabel,
+        columns: [formatAxisTitle(categoryAxis) || "항목", "변화량", "누적"],
+        rows: steps.map(({ d, kind, delta, end }) => [
+          d.label,
+          kind === "total" ? "" : formatDelta(delta),
+          format.value(end),
+        ]),
+      });
+
+      // 리사이징 후에도 애니메이션 적용
+      if (!isAnimated) {
+        requestAnimationFrame(() => {
+          requestAnimationFrame(() => {
+            isAnimated = true;
+            const bars = container.querySelectorAll(".bar");
+            bars.forEach((bar) => bar.classList.add("bar--animated"));
+          });
+        });
+      } else {
+        // 이미 애니메이션된 경우 즉시 적용
+        requestAnimationFrame(() => {
+          const bars = g.querySelectorAll(".bar");
+          bars.forEach((bar) => bar.classList.add("bar--animated"));
+        });
+      }
+    },
+  });
+
+  return {
+    /**
+     * 데이터 업데이트
+     * @param {WaterfallDatum[]} newData
+     */
+    update(newData) {
+      currentData = newData;
+      chartWrapper.update();
+    },
+
+    /**
+     * 차트 제거
+     */
+    destroy() {
+      chartWrapper.destroy();
+    },
+  };
+}
@@ -0,0 +1,412 @@
+import { createChartWrapper } from "../core/ChartWrapper.js";
+import { makeScale, bandScale } from "../core/scales.js";
+import { resolveValueAxis } from "../core/ticks.js";
+import { renderAxisLinear } from "../core/AxisLinear.js";
+import { renderAxisBand } from "../core/AxisBand.js";
+import { formatAxisTitle } from "../core/AxisTitle.js";
+import { resolveValueFormat } from "../core/format.js";
+import { boxStats } from "../core/stats.js";
+import {
+  describeChart,
+  summarizeExtent,
+  bindKeyboardNav,
+} from "../core/a11y.js";
+import { renderDataTable } from "../core/DataTable.js";
+
+/**
+ * @typedef {Object} BoxPlotDatum
+ * @property {string} label - 카테고리 라벨
+ * @property {number[]} values - 원시 값 배열
+ */
+
+/**
+ * @typedef {Object} ValueAxisOpts
+ * @property {'linear' | 'log' | 'symlog'} [type] - 축 종류 (log는 0 이하 값을 최소값으로 고정)
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {import('../core/types').YTicks} [ticks]
+ * @property {(v: number) => string | number} [formatTick]
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
+ */
+
+/**
+ * @typedef {Object} CategoryAxisOpts
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
+ */
+
+/**
+ * createBoxPlotChart
+ * 카테고리별 원시 값 분포를 상자 수염 그림으로 표시
+ *
+ * @param {HTMLElement} container - 차트를 그릴 컨테이너
+ * @param {Object} props
+ * @param {BoxPlotDatum[]} props.data - 차트 데이터
+ * @param {'vertical' | 'horizontal'} [props.orientation='vertical'] - 차트 방향
+ * @param {number} [props.width] - 차트 너비 (고정 너비, 없으면 반응형)
+ * @param {number} [props.height=360] - 차트 높이
+ * @param {string} [props.boxColor='#73a7d9'] - 상자 색상
+ * @param {import('../core/stats').WhiskerMode} [props.whisker='tukey'] - 수염 범위 (Tukey 1.5·IQR / 최소·최대)
+ * @param {boolean} [props.showOutliers=true] - 이상치 점 표시
+ * @param {number} [props.outlierRadius=3] - 이상치 점 반지름
+ * @param {boolean} [props.rotateLabels=false] - X축 라벨 회전 여부
+ * @param {import('../core/AxisBand').LabelLayout} [props.labelLayout='auto'] - 범주 라벨 겹침 처리 전략
+ * @param {number} [props.categoryGap=0.4] - 카테고리 간격 비율
+ * @param {ValueAxisOpts} [props.valueAxis] - 값 축 설정
+ * @param {CategoryAxisOpts} [props.categoryAxis] - 범주 축 설정
+ * @param {import('../core/format').ValueFormat} [props.valueFormat] - 값 포맷 (눈금·툴팁 공통)
+ * @param {string | string[]} [props.locale] - 숫자 포맷 로케일
+ * @param {Partial<import('../core/types').Padding>} [props.framePadding] - 프레임 패딩
+ * @param {string} [props.ariaLabel] - 스크린 리더용 차트 이름 (생략 시 '상자 그림')
+ * @param {boolean | import('../core/DataTable').DataTableOpts} [props.dataTable] - 데이터 대체 표 (true면 스크린 리더 전용, { toggle: true }면 보기 버튼)
+ * @returns {{ update: (newData: BoxPlotDatum[]) => void, destroy: () => void }}
+ */
+export function createBoxPlotChart(
+  container,
+  {
+    data,
+    orientation = "vertical",
+    width,
+    height = 360,
+    boxColor = "#73a7d9",
+    whisker = "tukey",
+    showOutliers = true,
+    outlierRadius = 3,
+    rotateLabels = false,
+    labelLayout = "auto",
+    categoryGap = 0.4,
+    valueAxis,
+    categoryAxis,
+    valueFormat,
+    locale,
+    framePadding,
+    ariaLabel,
+    dataTable,
+  }
+) {
+  // 컨테이너 초기화
+  container.innerHTML = "";
+  container.style.position = "relative";
+  container.classList.add("chart-wrapper");
+
+  // 툴팁 생성
+  const tooltip = document.createElement("div");
+  tooltip.className = "chart-tooltip";
+  tooltip.style.cssText =
+    "display: none; position: absolute; pointer-events: none;";
+  container.appendChild(tooltip);
+
+  let currentData = data;
+
+  // 눈금·툴팁 공통 값 포맷
+  const format = resolveValueFormat(valueAxis, valueFormat, locale);
+
+  // 툴팁 표시 / 이동 / 숨김
+  const bindTooltip = (el, getHtml) => {
+    el.addEventListener("mouseenter", (e) => {
+      const containerRect = container.getBoundingClientRect();
+      tooltip.style.display = "block";
+      tooltip.style.left = `${e.clientX - containerRect.left}px`;
+      tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
+      tooltip.innerHTML = getHtml();
+    });
+
+    el.addEventListener("mousemove", (e) => {
+      const containerRect = container.getBoundingClientRect();
+      tooltip.style.left = `${e.clientX - containerRect.left}px`;
+      tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
+    });
+
+    el.addEventListener("mouseleave", () => {
+      tooltip.style.display = "none";
+    });
+  };
+
+  // 차트 래퍼 생성
+  const chartWrapper = createChartWrapper(container, {
+    width,
+    height,
+    framePadding,
+    render: ({ innerWidth, innerHeight, svg, g, growPadding }) => {
+      // 기존 내용 제거
+      g.innerHTML = "";
+
+      // 카테고리별 요약 통계 (유효 값이 없으면 빈 칸)
+      const labels = currentData.map((d) => d.label);
+      const stats = currentData.map((d) => boxStats(d.values, whisker));
+
+      // 도메인: 수염 끝과 (표시할 때) 이상치까지
+      const extents = stats.flatMap((s) =>
+        s
+          ? [
+              s.lower,
+              s.upper,
+              ...(showOutliers && s.outliers.length
+                ? [s.outliers[0], s.outliers[s.outliers.length - 1]]
+                : []),
+            ]
+          : []
+      );
+      const dataMin = extents.length ? Math.min(...extents) : 0;
+      const dataMax = extents.length ? Math.max(...extents) : 0;
+
+      const isVertical = orientation === "vertical";
+      // min/max/ticks 생략 시 보기 좋은 경계와 눈금으로 자동 확장
+      const {
+        min: vMin,
+        max: vMax,
+        ticks,
+      } = resolveValueAxis(dataMin, dataMax, valueAxis, extents);
+
+      // 스케일 생성
+      const band = isVertical
+        ? bandScale(labels, 0, innerWidth, categoryGap)
+        : bandScale(labels, 0, innerHeight, categoryGap);
+
+      const valueScale = isVertical
+        ? makeScale(valueAxis?.type, vMin, vMax, innerHeight, 0)
+        : makeScale(valueAxis?.type, vMin, vMax, 0, innerWidth);
+
+      // 1) 값 축
+      const axisLinearG = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "g"
+      );
+      const { size: linearAxisSize } = renderAxisLinear(axisLinearG, {
+        ticks,
+        scale: valueScale,
+        length: isVertical ? innerWidth : innerHeight,
+        side: isVertical ? "left" : "bottom",
+        grid: true,
+        formatTick: format.tick,
+        type: valueAxis?.type,
+        zeroLine: vMin < 0 && vMax > 0,
+        title: formatAxisTitle(valueAxis),
+        extent: isVertical ? innerHeight : innerWidth,
+      });
+      g.appendChild(axisLinearG);
+      growPadding(isVertical ? "left" : "bottom", linearAxisSize + 4);
+
+      // 2) 범주 축
+      const axisBandG = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "g"
+      );
+      if (isVertical) {
+        axisBandG.setAttribute("transform", `translate(0, ${innerHeight})`);
+      }
+      const { size: bandAxisSize } = renderAxisBand(axisBandG, {
+        labels,
+        getPos: band.getX,
+        bandWidth: band.bandWidth,
+        side: isVertical ? "bottom" : "left",
+        rotate: rotateLabels,
+        layout: labelLayout,
+        tickPadding: 20,
+        title: formatAxisTitle(categoryAxis),
+        extent: isVertical ? innerWidth : innerHeight,
+      });
+      g.appendChild(axisBandG);
+      // 회전·긴 라벨, 축 제목이 잘리지 않도록 여백 확보
+      growPadding(isVertical ? "bottom" : "left", bandAxisSize + 4);
+
+      // (범주 좌표, 값) → SVG 좌표
+      const point = (c, v) => {
+        const p = valueScale(v);
+        return isVertical ? [c, p] : [p, c];
+      };
+      const makeLine = (c1, v1, c2, v2, className) => {
+        const [x1, y1] = point(c1, v1);
+        const [x2, y2] = point(c2, v2);
+        const line = document.createElementNS(
+          "http://www.w3.org/2000/svg",
+          "line"
+        );
+        line.setAttribute("x1", x1);
+        line.setAttribute("y1", y1);
+        line.setAttribute("x2", x2);
+        line.setAttribute("y2", y2);
+        line.setAttribute("stroke", "#333");
+        line.classList.add(className);
+        return line;
+      };
+
+      // 3) 상자 · 수염 · 이상치
+      const marks = [];
+      currentData.forEach((d, i) => {
+        const s = stats[i];
+        if (!s) return;
+
+        const start = band.getX(d.label);
+        const bw = band.bandWidth;
+        const center = start + bw / 2;
+        const capHalf = bw / 4;
+
+        const boxG = document.createElementNS(
+          "http://www.w3.org/2000/svg",
+          "g"
+        );
+        boxG.classList.add("boxplot");
+        boxG.style.animationDelay = `${i * 40}ms`;
+
+        // 수염 (상자 바깥으로 이어지는 선과 끝 가로선)
+        boxG.appendChild(
+          makeLine(center, s.lower, center, s.q1, "boxplot-whisker")
+        );
+        boxG.appendChild(
+          makeLine(center, s.q3, center, s.upper, "boxplot-whisker")
+        );
+        boxG.appendChild(
+          makeLine(
+            center - capHalf,
+            s.lower,
+            center + capHalf,
+            s.lower,
+            "boxplot-cap"
+          )
+        );
+        boxG.appendChild(
+          makeLine(
+            center - capHalf,
+            s.upper,
+            center + capHalf,
+            s.upper,
+            "boxplot-cap"
+          )
+        );
+
+        // 상자 (Q1 ~ Q3)
+        const [bx1, by1] = point(start, s.q1);
+        const [bx2, by2] = point(start + bw, s.q3);
+        const rect = document.createElementNS(
+          "http://www.w3.org/2000/svg",
+          "rect"
+        );
+        rect.setAttribute("x", Math.min(bx1, bx2));
+        rect.setAttribute("y", Math.min(by1, by2));
+        rect.setAttribute("width", Math.abs(bx2 - bx1));
+        rect.setAttribute("height", Math.abs(by2 - by1));
+        rect.setAttribute("fill", boxColor);
+        rect.setAttribute("stroke", "#333");
+        rect.setAttribute("rx", "2");
+        rect.classList.add("boxplot-box");
+        boxG.appendChild(rect);
+
+        // 중앙값
+        const median = makeLine(
+          start,
+          s.median,
+          start + bw,
+          s.median,
+          "boxplot-median"
+        );
+        median.setAttribute("stroke-width", "2");
+        boxG.appendChild(median);
+
+        // 툴팁: 다섯 수 요약
+        const rows = [
+          `최대 : ${format.value(s.max)}`,
+          `Q3 : ${format.value(s.q3)}`,
+          `중앙값 : ${format.value(s.median)}`,
+          `Q1 : ${format.value(s.q1)}`,
+          `최소 : ${format.value(s.min)}`,
+          `개수 : ${s.n}${
+            s.outliers.length ? ` (이상치 ${s.outliers.length})` : ""
+          }`,
+        ];
+        const html = `<strong>${d.label}</strong><br />${rows.join("<br />")}`;
+        bindTooltip(boxG, () => html);
+        marks.push({ el: boxG, html });
+
+        g.appendChild(boxG);
+
+        // 이상치 점
+        if (showOutliers) {
+          s.outliers.forEach((v) => {
+            const [cx, cy] = point(center, v);
+            const circle = document.createElementNS(
+              "http://www.w3.org/2000/svg",
+              "circle"
+            );
+            circle.setAttribute("cx", cx);
+            circle.setAttribute("cy", cy);
+            circle.setAttribute("r", outlierRadius);
+            circle.setAttribute("fill", "#fff");
+            circle.setAttribute("stroke", boxColor);
+            circle.classList.add("boxplot-outlier");
+            circle.style.animationDelay = `${i * 40}ms`;
+            bindTooltip(
+              circle,
+              () => `<strong>${d.label}</strong> · 이상치 : ${format.value(v)}`
+            );
+            g.appendChild(circle);
+          });
+        }
+      });
+
+      // 접근성: 차트 이름·요약(중앙값 기준), 상자 키보드 탐색, 데이터 표
+      const chartLabel = ariaLabel ?? "상자 그림";
+      describeChart(svg, {
+        label: chartLabel,
+        summary: [
+          `그룹 ${marks.length}개`,
+          marks.length
+            ? `중앙값 ${summarizeExtent(
+                currentData
+                  .map((d, i) => ({ label: d.label, value: stats[i]?.median }))
+                  .filter((d) => d.value !== undefined),
+                format.value
+              )}`
+            : "",
+        ],
+      });
+      bindKeyboardNav([marks], {
+        tooltip,
+        categoryAxis: isVertical ? "x" : "y",
+      });
+      // 값이 없는 그룹도 행은 유지
+      renderDataTable(container, svg, dataTable, {
+        caption: chartLabel,
+        columns: [
+          formatAxisTitle(categoryAxis) || "그룹",
+          "최소",
+          "Q1",
+          "중앙값",
+          "Q3",
+          "최대",
+          "개수",
+          "이상치",
+        ],
+        rows: currentData.map((d, i) => {
+          const s = stats[i];
+          if (!s) return [d.label, "", "", "", "", "", "0", ""];
+          return [
+            d.label,
+            ...[s.min, s.q1, s.median, s.q3, s.max].map(format.value),
+            String(s.n),
+            s.outliers.map(format.value).join(", "),
+          ];
+        }),
+      });
+    },
+  });
+
+  return {
+    /**
+     * 데이터 업데이트
+     * @param {BoxPlotDatum[]} newData
+     */
+    update(newData) {
+      currentData = newData;
+      chartWrapper.update();
+    },
+
+    /**
+     * 차트 제거
+     */
+    destroy() {
+      chartWrapper.destroy();
+    },
+  };
+}
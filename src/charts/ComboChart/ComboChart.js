@@ -0,0 +1,523 @@
+import { createChartWrapper } from "../core/ChartWrapper.js";
+import { makeScale, bandScale } from "../core/scales.js";
+import { resolveValueAxis } from "../core/ticks.js";
+import { renderAxisLinear } from "../core/AxisLinear.js";
+import { renderAxisBand } from "../core/AxisBand.js";
+import { formatAxisTitle } from "../core/AxisTitle.js";
+import { resolveValueFormat } from "../core/format.js";
+import { renderLegend } from "../core/Legend.js";
+import { createColorScale } from "../core/colorScale.js";
+import {
+  describeChart,
+  summarizeExtent,
+  bindKeyboardNav,
+} from "../core/a11y.js";
+import { renderDataTable } from "../core/DataTable.js";
+import {
+  curvePath,
+  areaPath,
+  isMissing,
+  splitSegments,
+} from "../core/curves.js";
+
+/**
+ * @typedef {Object} ComboDatum
+ * @property {string} label - 카테고리 라벨
+ * @property {Record<string, number>} values - 시리즈 키별 값
+ */
+
+/**
+ * @typedef {Object} ComboSeries
+ * @property {string} key - values의 키
+ * @property {'bar' | 'line' | 'area'} type - 표시 방식
+ * @property {string} [label] - 범례·툴팁 이름 (없으면 key)
+ * @property {string} [color] - 색상 (없으면 팔레트)
+ * @property {'left' | 'right'} [axis='left'] - 값 축 (right는 valueAxisRight 필요, seriesAxis보다 우선)
+ */
+
+/**
+ * @typedef {Object} ValueAxisOpts
+ * @property {'linear' | 'log' | 'symlog'} [type] - 축 종류 (log는 0 이하 값을 최소값으로 고정)
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {import('../core/types').YTicks} [ticks]
+ * @property {(v: number) => string | number} [formatTick]
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
+ */
+
+/**
+ * @typedef {Object} CategoryAxisOpts
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
+ */
+
+/**
+ * @typedef {Object} LegendOpts
+ * @property {boolean} [show]
+ * @property {'top' | 'right'} [position]
+ */
+
+/**
+ * createComboChart
+ * 막대 + 라인(영역) 복합 차트 생성 (범주 축·범례 공유)
+ *
+ * @param {HTMLElement} container - 차트를 그릴 컨테이너
+ * @param {Object} props
+ * @param {ComboDatum[]} props.data - 차트 데이터
+ * @param {ComboSeries[]} props.series - 시리즈 목록 (순서 = 범례 순서, 막대는 이 순서로 나란히)
+ * @param {number} [props.width] - 차트 너비 (고정 너비, 없으면 반응형)
+ * @param {number} [props.height=360] - 차트 높이
+ * @param {boolean} [props.rotateLabels=false] - X축 라벨 회전 여부
+ * @param {import('../core/AxisBand').LabelLayout} [props.labelLayout='auto'] - 범주 라벨 겹침 처리 전략
+ * @param {number} [props.categoryGap=0.2] - 카테고리 간격 비율
+ * @param {number} [props.seriesGap=0.2] - 막대 시리즈 간격 비율
+ * @param {number} [props.strokeWidth=2] - 선 두께
+ * @param {boolean} [props.showDots=true] - 라인 포인트 표시 여부
+ * @param {number} [props.dotRadius=3] - 포인트 반지름
+ * @param {import('../core/curves').CurveType} [props.curve='linear'] - 선 보간 방식
+ * @param {import('../core/curves').MissingMode} [props.missing='gap'] - 결측값 처리 방식 (막대는 생략)
+ * @param {ValueAxisOpts} [props.valueAxis] - 값 축 설정
+ * @param {ValueAxisOpts} [props.valueAxisRight] - 보조(오른쪽) 값 축 설정
+ * @param {Record<string, 'left' | 'right'>} [props.seriesAxis] - 시리즈별 값 축 배정 (그룹 차트와 같은 형식, series[].axis가 우선)
+ * @param {CategoryAxisOpts} [props.categoryAxis] - 범주 축 설정
+ * @param {import('../core/format').ValueFormat} [props.valueFormat] - 값 포맷 (눈금·툴팁 공통)
+ * @param {string | string[]} [props.locale] - 숫자 포맷 로케일
+ * @param {Partial<import('../core/types').Padding>} [props.framePadding] - 프레임 패딩
+ * @param {LegendOpts} [props.legend] - 범례 설정
+ * @param {string} [props.ariaLabel] - 스크린 리더용 차트 이름 (생략 시 '복합 차트')
+ * @param {boolean | import('../core/DataTable').DataTableOpts} [props.dataTable] - 데이터 대체 표 (true면 스크린 리더 전용, { toggle: true }면 보기 버튼)
+ * @returns {{ update: (newData: ComboDatum[]) => void, destroy: () => void }}
+ */
+export function createComboChart(
+  container,
+  {
+    data,
+    series,
+    width,
+    height = 360,
+    rotateLabels = false,
+    labelLayout = "auto",
+    categoryGap = 0.2,
+    seriesGap = 0.2,
+    strokeWidth = 2,
+    showDots = true,
+    dotRadius = 3,
+    curve = "linear",
+    missing = "gap",
+    valueAxis,
+    valueAxisRight,
+    seriesAxis,
+    categoryAxis,
+    valueFormat,
+    locale,
+    framePadding,
+    legend = { show: true, position: "top" },
+    ariaLabel,
+    dataTable,
+  }
+) {
+  // 컨테이너 초기화 (막대 애니메이션은 세로 막대 스타일 사용)
+  container.innerHTML = "";
+  container.style.position = "relative";
+  container.classList.add("chart-wrapper", "bar-chart--vert");
+
+  // 툴팁 생성
+  const tooltip = document.createElement("div");
+  tooltip.className = "chart-tooltip";
+  tooltip.style.cssText =
+    "display: none; position: absolute; pointer-events: none;";
+  container.appendChild(tooltip);
+
+  let currentData = data;
+  let isAnimated = false;
+
+  const keys = series.map((s) => s.key);
+  const barKeys = series.filter((s) => s.type === "bar").map((s) => s.key);
+  const displayOf = (key) => series.find((s) => s.key === key)?.label ?? key;
+
+  // 시리즈별 값 축 (보조 축 설정이 있을 때만 'right' 배정 유효)
+  const sideOf = (s) => s.axis ?? seriesAxis?.[s.key] ?? "left";
+  const axisOf = (s) =>
+    valueAxisRight && sideOf(s) === "right" ? "right" : "left";
+  if (!valueAxisRight && series.some((s) => sideOf(s) === "right")) {
+    console.warn(
+      "[vanilla-charts] valueAxisRight 없이는 보조 축을 쓸 수 없어 axis 'right' 시리즈를 왼쪽 축에 표시합니다."
+    );
+  }
+
+  // 축별 눈금·툴팁 공통 값 포맷
+  const leftFormat = resolveValueFormat(valueAxis, valueFormat, locale);
+  const rightFormat = resolveValueFormat(valueAxisRight, valueFormat, locale);
+  const formatOf = (s) =>
+    axisOf(s) === "right" ? rightFormat.value : leftFormat.value;
+
+  // 색상 스케일 (시리즈별 color 우선)
+  const colorOf = createColorScale(
+    keys,
+    Object.fromEntries(
+      series.filter((s) => s.color).map((s) => [s.key, s.color])
+    )
+  );
+
+  // 시리즈 값 (결측은 null, 'zero'면 0)
+  const valueAt = (d, key) => {
+    const v = d.values[key];
+    if (!isMissing(v)) return v;
+    return missing === "zero" ? 0 : null;
+  };
+
+  // 차트 래퍼 생성
+  const chartWrapper = createChartWrapper(container, {
+    width,
+    height,
+    framePadding,
+    render: ({ innerWidth, innerHeight, svg, g, growPadding }) => {
+      // 기존 내용 제거
+      g.innerHTML = "";
+
+      const labels = currentData.map((d) => d.label);
+
+      // 축별 도메인·스케일 (해당 축에 배정된 시리즈 값만 사용)
+      const resolveAxis = (axisSeries, opts) => {
+        const axisValues = currentData
+          .flatMap((d) => axisSeries.map((s) => valueAt(d, s.key)))
+          .filter((v) => v !== null);
+        const dataMin = axisValues.length ? Math.min(...axisValues, 0) : 0;
+        const dataMax = axisValues.length ? Math.max(...axisValues, 0) : 0;
+
+        // min/max/ticks 생략 시 보기 좋은 경계와 눈금으로 자동 확장
+        const { min, max, ticks } = resolveValueAxis(
+          dataMin,
+          dataMax,
+          opts,
+          axisValues
+        );
+        const scale = makeScale(opts?.type, min, max, innerHeight, 0);
+
+        // 막대·영역 기준선 (0이 도메인 밖이면 가까운 경계)
+        const baseline = Math.min(Math.max(0, min), max);
+        return { min, max, ticks, scale, baseline };
+      };
+
+      const rightSeries = series.filter((s) => axisOf(s) === "right");
+      const leftAxis = resolveAxis(
+        series.filter((s) => axisOf(s) === "left"),
+        valueAxis
+      );
+      const rightAxis = rightSeries.length
+        ? resolveAxis(rightSeries, valueAxisRight)
+        : null;
+      const axisFor = (s) => (axisOf(s) === "right" ? rightAxis : leftAxis);
+
+      // 범례 렌더링
+      if (legend?.show) {
+        // 기존 범례 제거
+        const existingLegends = container.querySelectorAll(".chart-legend");
+        existingLegends.forEach((el) => el.remove());
+
+        const legendEl = renderLegend(null, {
+          seriesOrder: keys,
+          seriesLabels: Object.fromEntries(keys.map((k) => [k, displayOf(k)])),
+          getColor: colorOf,
+          position: legend.position ?? "top",
+        });
+        // 툴팁 다음, SVG 래퍼 앞에 삽입
+        const svgWrapper = container.querySelector("div:not(.chart-tooltip)");
+        if (svgWrapper) {
+          container.insertBefore(legendEl, svgWrapper);
+        } else {
+          container.appendChild(legendEl);
+        }
+      } else {
+        const existingLegends = container.querySelectorAll(".chart-legend");
+        existingLegends.forEach((el) => el.remove());
+      }
+
+      // 바깥(카테고리) / 안쪽(막대 시리즈) 밴드 스케일
+      const outer = bandScale(labels, 0, innerWidth, categoryGap);
+      const inner = bandScale(barKeys, 0, outer.bandWidth, seriesGap);
+      const centerOf = (label) => outer.getX(label) + outer.bandWidth / 2;
+
+      // 1) 값 축
+      const axisLinearG = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "g"
+      );
+      const { size: linearAxisSize } = renderAxisLinear(axisLinearG, {
+        ticks: leftAxis.ticks,
+        scale: leftAxis.scale,
+        length: innerWidth,
+        side: "left",
+        grid: true,
+        formatTick: leftFormat.tick,
+        type: valueAxis?.type,
+        zeroLine: leftAxis.min < 0 && leftAxis.max > 0,
+        title: formatAxisTitle(valueAxis),
+        extent: innerHeight,
+      });
+      g.appendChild(axisLinearG);
+      growPadding("left", linearAxisSize + 4);
+
+      // 1-1) 보조 값 축 (오른쪽)
+      if (rightAxis) {
+        const axisRightG = document.createElementNS(
+          "http://www.w3.org/2000/svg",
+          "g"
+        );
+        const { size: rightAxisSize } = renderAxisLinear(axisRightG, {
+          ticks: rightAxis.ticks,
+          scale: rightAxis.scale,
+          length: innerWidth,
+          side: "right",
+          grid: false,
+          formatTick: rightFormat.tick,
+          type: valueAxisRight.type,
+          title: formatAxisTitle(valueAxisRight),
+          extent: innerHeight,
+        });
+        g.appendChild(axisRightG);
+        growPadding("right", rightAxisSize + 4);
+      }
+
+      // 2) 범주 축
+      const axisBandG = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "g"
+      );
+      axisBandG.setAttribute("transform", `translate(0, ${innerHeight})`);
+      const { size: bandAxisSize } = renderAxisBand(axisBandG, {
+        labels,
+        getPos: outer.getX,
+        bandWidth: outer.bandWidth,
+        side: "bottom",
+        rotate: rotateLabels,
+        layout: labelLayout,
+        tickPadding: 20,
+        title: formatAxisTitle(categoryAxis),
+        extent: innerWidth,
+      });
+      g.appendChild(axisBandG);
+      // 회전·긴 라벨, 축 제목이 잘리지 않도록 여백 확보
+      growPadding("bottom", bandAxisSize + 4);
+
+      // 툴팁 연결 (키보드 탐색용 [시리즈][범주] 배열에도 등록)
+      const marks = series.map(() => []);
+      const bindTooltip = (el, d, s, value) => {
+        const html = `<strong>${d.label}</strong> · ${displayOf(
+          s.key
+        )} : ${formatOf(s)(value)}`;
+        marks[series.indexOf(s)][currentData.indexOf(d)] = { el, html };
+
+        el.addEventListener("mouseenter", (e) => {
+          const containerRect = container.getBoundingClientRect();
+          tooltip.style.display = "block";
+          tooltip.style.left = `${e.clientX - containerRect.left}px`;
+          tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
+          tooltip.innerHTML = html;
+        });
+
+        el.addEventListener("mousemove", (e) => {
+          const containerRect = container.getBoundingClientRect();
+          tooltip.style.left = `${e.clientX - containerRect.left}px`;
+          tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
+        });
+
+        el.addEventListener("mouseleave", () => {
+          tooltip.style.display = "none";
+        });
+      };
+
+      // 3) 막대 (그룹 막대와 같은 안쪽 밴드 배치)
+      currentData.forEach((d, gi) => {
+        const base = outer.getX(d.label);
+
+        series
+          .filter((s) => s.type === "bar")
+          .forEach((s, si) => {
+            const val = valueAt(d, s.key);
+            if (val === null) return;
+            const { scale, baseline } = axisFor(s);
+            const p0 = scale(baseline);
+            const p1 = scale(val);
+
+            const rect = document.createElementNS(
+              "http://www.w3.org/2000/svg",
+              "rect"
+            );
+            rect.setAttribute("x", base + inner.getX(s.key));
+            rect.setAttribute("y", Math.min(p0, p1));
+            rect.setAttribute("width", inner.bandWidth);
+            rect.setAttribute("height", Math.abs(p0 - p1));
+            rect.setAttribute("fill", colorOf(s.key));
+            rect.setAttribute("rx", "6");
+            rect.classList.add("bar");
+            if (val < baseline) rect.classList.add("bar--negative");
+            rect.style.transitionDelay = `${(gi * barKeys.length + si) * 30}ms`;
+
+            bindTooltip(rect, d, s, val);
+            g.appendChild(rect);
+          });
+      });
+
+      // 4) 라인 / 영역 (밴드 중앙을 잇는 경로)
+      series
+        .filter((s) => s.type === "line" || s.type === "area")
+        .forEach((s) => {
+          const { scale, baseline } = axisFor(s);
+          const color = colorOf(s.key);
+          const points = currentData.map((d) => {
+            const value = valueAt(d, s.key);
+            return {
+              d,
+              value,
+              cx: centerOf(d.label),
+              cy: value === null ? null : scale(value),
+            };
+          });
+          const segments = splitSegments(
+            points,
+            (p) => p.value === null,
+            missing
+          );
+
+          if (s.type === "area") {
+            const baselineY = scale(baseline);
+            const areaEl = document.createElementNS(
+              "http://www.w3.org/2000/svg",
+              "path"
+            );
+            areaEl.setAttribute(
+              "d",
+              segments
+                .map((seg) =>
+                  areaPath(
+                    seg.map((p) => [p.cx, p.cy]),
+                    seg.map((p) => [p.cx, baselineY]),
+                    curve
+                  )
+                )
+                .join(" ")
+            );
+            areaEl.setAttribute("fill", color);
+            areaEl.classList.add("line-area");
+            g.appendChild(areaEl);
+          }
+
+          const linePath = document.createElementNS(
+            "http://www.w3.org/2000/svg",
+            "path"
+          );
+          linePath.setAttribute(
+            "d",
+            segments
+              .map((seg) =>
+                curvePath(
+                  seg.map((p) => [p.cx, p.cy]),
+                  curve
+                )
+              )
+              .join(" ")
+          );
+          linePath.setAttribute("fill", "none");
+          linePath.setAttribute("stroke", color);
+          linePath.setAttribute("stroke-width", strokeWidth);
+          linePath.setAttribute("stroke-linecap", "round");
+          linePath.setAttribute("stroke-linejoin", "round");
+          linePath.setAttribute("pathLength", "1");
+          linePath.classList.add("line-path");
+          g.appendChild(linePath);
+
+          // 포인트 (showDots가 false여도 키보드 포커스용 투명 포인트)
+          points
+            .filter((p) => p.value !== null)
+            .forEach((p) => {
+              const circle = document.createElementNS(
+                "http://www.w3.org/2000/svg",
+                "circle"
+              );
+              circle.setAttribute("cx", p.cx);
+              circle.setAttribute("cy", p.cy);
+              circle.setAttribute("r", dotRadius);
+              circle.setAttribute("fill", showDots ? color : "transparent");
+              circle.classList.add("line-dot");
+
+              bindTooltip(circle, p.d, s, p.value);
+              g.appendChild(circle);
+            });
+        });
+
+      // 접근성: 차트 이름·요약, 막대·포인트 키보드 탐색, 데이터 표
+      const chartLabel = ariaLabel ?? "복합 차트";
+      describeChart(svg, {
+        label: chartLabel,
+        summary: [
+          `범주 ${currentData.length}개, 시리즈 ${series
+            .map((s) => displayOf(s.key))
+            .join(", ")}`,
+          summarizeExtent(
+            currentData.flatMap((d) =>
+              series
+                .filter((s) => axisOf(s) === "left")
+                .map((s) => ({
+                  label: `${d.label} ${displayOf(s.key)}`,
+                  value: valueAt(d, s.key),
+                }))
+            ),
+            leftFormat.value
+          ),
+        ],
+      });
+      bindKeyboardNav(marks, { tooltip });
+      renderDataTable(container, svg, dataTable, {
+        caption: chartLabel,
+        columns: [
+          formatAxisTitle(categoryAxis) || "항목",
+          ...series.map((s) => displayOf(s.key)),
+        ],
+        rows: currentData.map((d) => [
+          d.label,
+          ...series.map((s) => {
+            const value = valueAt(d, s.key);
+            return value === null ? "" : formatOf(s)(value);
+          }),
+        ]),
+      });
+
+      // 리사이징 후에도 애니메이션 적용
+      if (!isAnimated) {
+        requestAnimationFrame(() => {
+          requestAnimationFrame(() => {
+            isAnimated = true;
+            const bars = container.querySelectorAll(".bar");
+            bars.forEach((bar) => bar.classList.add("bar--animated"));
+          });
+        });
+      } else {
+        // 이미 애니메이션된 경우 즉시 적용
+        requestAnimationFrame(() => {
+          const bars = g.querySelectorAll(".bar");
+          bars.forEach((bar) => bar.classList.add("bar--animated"));
+        });
+      }
+    },
+  });
+
+  return {
+    /**
+     * 데이터 업데이트
+     * @param {ComboDatum[]} newData
+     */
+    update(newData) {
+      currentData = newData;
+      chartWrapper.update();
+    },
+
+    /**
+     * 차트 제거
+     */
+    destroy() {
+      chartWrapper.destroy();
+    },
+  };
+}
@@ -0,0 +1,328 @@
+import { createChartWrapper } from "../core/ChartWrapper.js";
+import { bandScale } from "../core/scales.js";
+import { renderAxisBand } from "../core/AxisBand.js";
+import { formatAxisTitle } from "../core/AxisTitle.js";
+import { measureText } from "../core/text.js";
+import { createFormatter } from "../core/format.js";
+import { renderGradientLegend } from "../core/Legend.js";
+import {
+  createContinuousColorScale,
+  contrastTextColor,
+} from "../core/colorScale.js";
+import { isMissing } from "../core/curves.js";
+import {
+  describeChart,
+  summarizeExtent,
+  bindKeyboardNav,
+} from "../core/a11y.js";
+import { renderDataTable } from "../core/DataTable.js";
+
+/**
+ * @typedef {Object} HeatmapDatum
+ * @property {string} row - 행 (예: 요일)
+ * @property {string} column - 열 (예: 시간대)
+ * @property {number | null} value - 값 (없으면 빈 칸)
+ */
+
+/**
+ * @typedef {Object} CategoryAxisOpts
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
+ */
+
+/**
+ * @typedef {Object} LegendOpts
+ * @property {boolean} [show]
+ * @property {'top' | 'right'} [position]
+ * @property {string} [title] - 범례 제목
+ */
+
+/**
+ * createHeatmapChart
+ * 행 × 열 격자의 값을 색상으로 표시하는 히트맵 생성
+ *
+ * @param {HTMLElement} container - 차트를 그릴 컨테이너
+ * @param {Object} props
+ * @param {HeatmapDatum[]} props.data - 차트 데이터
+ * @param {string[]} [props.rowOrder] - 행 순서 (생략 시 데이터 등장 순서, 위에서 아래로)
+ * @param {string[]} [props.columnOrder] - 열 순서 (생략 시 데이터 등장 순서, 왼쪽에서 오른쪽으로)
+ * @param {number} [props.width] - 차트 너비 (고정 너비, 없으면 반응형)
+ * @param {number} [props.height=360] - 차트 높이
+ * @param {import('../core/colorScale').ContinuousColorOpts} [props.color] - 색상 스케일 설정 (순차 / 발산)
+ * @param {string} [props.missingColor='#f3f4f6'] - 값이 없는 칸 색상
+ * @param {boolean} [props.showLabels=false] - 칸 안에 값 표시
+ * @param {number} [props.cellGap=0.06] - 칸 간격 비율
+ * @param {number} [props.cellRadius=2] - 칸 모서리 반경
+ * @param {import('../core/AxisBand').LabelLayout} [props.labelLayout='auto'] - 열 라벨 겹침 처리 전략
+ * @param {CategoryAxisOpts} [props.rowAxis] - 행(세로) 축 설정
+ * @param {CategoryAxisOpts} [props.columnAxis] - 열(가로) 축 설정
+ * @param {import('../core/format').ValueFormat} [props.valueFormat] - 값 포맷 (칸 라벨·툴팁·범례 공통)
+ * @param {string} [props.valueLabel='값'] - 툴팁의 값 항목 이름
+ * @param {string | string[]} [props.locale] - 숫자 포맷 로케일
+ * @param {Partial<import('../core/types').Padding>} [props.framePadding] - 프레임 패딩
+ * @param {LegendOpts} [props.legend] - 범례 설정
+ * @param {string} [props.ariaLabel] - 스크린 리더용 차트 이름 (생략 시 '히트맵')
+ * @param {boolean | import('../core/DataTable').DataTableOpts} [props.dataTable] - 데이터 대체 표 (true면 스크린 리더 전용, { toggle: true }면 보기 버튼)
+ * @returns {{ update: (newData: HeatmapDatum[]) => void, destroy: () => void }}
+ */
+export function createHeatmapChart(
+  container,
+  {
+    data,
+    rowOrder,
+    columnOrder,
+    width,
+    height = 360,
+    color,
+    missingColor = "#f3f4f6",
+    showLabels = false,
+    cellGap = 0.06,
+    cellRadius = 2,
+    labelLayout = "auto",
+    rowAxis,
+    columnAxis,
+    valueFormat,
+    valueLabel = "값",
+    locale,
+    framePadding,
+    legend = { show: true, position: "top" },
+    ariaLabel,
+    dataTable,
+  }
+) {
+  // 컨테이너 초기화
+  container.innerHTML = "";
+  container.style.position = "relative";
+  container.classList.add("chart-wrapper");
+
+  // 툴팁 생성
+  const tooltip = document.createElement("div");
+  tooltip.className = "chart-tooltip";
+  tooltip.style.cssText =
+    "display: none; position: absolute; pointer-events: none;";
+  container.appendChild(tooltip);
+
+  let currentData = data;
+
+  // 칸 라벨·툴팁·범례 공통 값 포맷
+  const formatValue = createFormatter(valueFormat, locale);
+
+  // 차트 래퍼 생성
+  const chartWrapper = createChartWrapper(container, {
+    width,
+    height,
+    framePadding,
+    render: ({ innerWidth, innerHeight, svg, g, growPadding }) => {
+      // 기존 내용 제거
+      g.innerHTML = "";
+
+      // 행 / 열 (생략 시 데이터 등장 순서)
+      const rows =
+        rowOrder ?? Array.from(new Set(currentData.map((d) => d.row)));
+      const columns =
+        columnOrder ?? Array.from(new Set(currentData.map((d) => d.column)));
+
+      // (행, 열) → 값
+      const cells = new Map();
+      currentData.forEach((d) => {
+        cells.set(`${d.row}\u0000${d.column}`, d.value);
+      });
+      const valueOf = (row, column) => {
+        const v = cells.get(`${row}\u0000${column}`);
+        return isMissing(v) ? null : v;
+      };
+
+      // 색상 스케일 (도메인은 표시되는 칸의 값 범위)
+      const values = [];
+      rows.forEach((r) =>
+        columns.forEach((c) => {
+          const v = valueOf(r, c);
+          if (v != null) values.push(v);
+        })
+      );
+      const colorOf = createContinuousColorScale(
+        values.length ? Math.min(...values) : 0,
+        values.length ? Math.max(...values) : 0,
+        color
+      );
+
+      // 범례 렌더링
+      const existingLegends = container.querySelectorAll(".chart-legend");
+      existingLegends.forEach((el) => el.remove());
+      if (legend?.show && values.length) {
+        const legendEl = renderGradientLegend(null, {
+          min: colorOf.min,
+          max: colorOf.max,
+          getColor: colorOf,
+          formatValue,
+          title: legend.title,
+          position: legend.position ?? "top",
+        });
+        // 툴팁 다음, SVG 래퍼 앞에 삽입
+        const svgWrapper = container.querySelector("div:not(.chart-tooltip)");
+        if (svgWrapper) {
+          container.insertBefore(legendEl, svgWrapper);
+        } else {
+          container.appendChild(legendEl);
+        }
+      }
+
+      // 행 × 열 밴드 스케일
+      const xBand = bandScale(columns, 0, innerWidth, cellGap);
+      const yBand = bandScale(rows, 0, innerHeight, cellGap);
+
+      // 1) 행 축 (왼쪽)
+      const axisRowG = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "g"
+      );
+      const { size: rowAxisSize } = renderAxisBand(axisRowG, {
+        labels: rows,
+        getPos: yBand.getX,
+        bandWidth: yBand.bandWidth,
+        side: "left",
+        title: formatAxisTitle(rowAxis),
+        extent: innerHeight,
+      });
+      g.appendChild(axisRowG);
+      growPadding("left", rowAxisSize + 4);
+
+      // 2) 열 축 (아래)
+      const axisColumnG = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "g"
+      );
+      axisColumnG.setAttribute("transform", `translate(0, ${innerHeight})`);
+      const { size: columnAxisSize } = renderAxisBand(axisColumnG, {
+        labels: columns,
+        getPos: xBand.getX,
+        bandWidth: xBand.bandWidth,
+        side: "bottom",
+        layout: labelLayout,
+        tickPadding: 12,
+        title: formatAxisTitle(columnAxis),
+        extent: innerWidth,
+      });
+      g.appendChild(axisColumnG);
+      growPadding("bottom", columnAxisSize + 4);
+
+      // 3) 칸
+      const fontSize = Math.min(12, yBand.bandWidth * 0.5);
+      const marks = rows.map(() => []);
+      const filled = [];
+      rows.forEach((row, ri) => {
+        columns.forEach((column, ci) => {
+          const value = valueOf(row, column);
+          if (value != null)
+            filled.push({ label: `${row} · ${column}`, value });
+          const fill = value == null ? missingColor : colorOf(value);
+          const x = xBand.getX(column);
+          const y = yBand.getX(row);
+
+          const rect = document.createElementNS(
+            "http://www.w3.org/2000/svg",
+            "rect"
+          );
+          rect.setAttribute("x", x);
+          rect.setAttribute("y", y);
+          rect.setAttribute("width", Math.max(0, xBand.bandWidth));
+          rect.setAttribute("height", Math.max(0, yBand.bandWidth));
+          rect.setAttribute("rx", cellRadius);
+          rect.setAttribute("fill", fill);
+          rect.classList.add("heatmap-cell");
+          if (value == null) rect.classList.add("heatmap-cell--missing");
+          rect.style.animationDelay = `${Math.min((ri + ci) * 15, 600)}ms`;
+
+          // 툴팁 이벤트
+          const html = `<strong>${row} · ${column}</strong><br />${valueLabel} : ${
+            value == null ? "-" : formatValue(value)
+          }`;
+          marks[ri][ci] = { el: rect, html };
+
+          rect.addEventListener("mouseenter", (e) => {
+            const containerRect = container.getBoundingClientRect();
+            tooltip.style.display = "block";
+            tooltip.style.left = `${e.clientX - containerRect.left}px`;
+            tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
+            tooltip.innerHTML = html;
+          });
+
+          rect.addEventListener("mousemove", (e) => {
+            const containerRect = container.getBoundingClientRect();
+            tooltip.style.left = `${e.clientX - containerRect.left}px`;
+            tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
+          });
+
+          rect.addEventListener("mouseleave", () => {
+            tooltip.style.display = "none";
+          });
+
+          g.appendChild(rect);
+
+          // 칸 라벨 (배경 밝기에 따라 글자색 선택, 칸보다 넓으면 생략)
+          const label = value == null ? "" : formatValue(value);
+          if (
+            showLabels &&
+            label &&
+            measureText(label, fontSize) <= xBand.bandWidth - 2
+          ) {
+            const text = document.createElementNS(
+              "http://www.w3.org/2000/svg",
+              "text"
+            );
+            text.setAttribute("x", x + xBand.bandWidth / 2);
+            text.setAttribute("y", y + yBand.bandWidth / 2);
+            text.setAttribute("font-size", fontSize);
+            text.setAttribute("fill", contrastTextColor(fill));
+            text.setAttribute("text-anchor", "middle");
+            text.setAttribute("dominant-baseline", "central");
+            text.classList.add("heatmap-label");
+            text.style.animationDelay = rect.style.animationDelay;
+            text.textContent = label;
+            g.appendChild(text);
+          }
+        });
+      });
+
+      // 접근성: 차트 이름·요약, 칸 키보드 탐색 (←→ 열, ↑↓ 행), 데이터 표
+      const chartLabel = ariaLabel ?? "히트맵";
+      describeChart(svg, {
+        label: chartLabel,
+        summary: [
+          `행 ${rows.length}개 × 열 ${columns.length}개`,
+          summarizeExtent(filled, formatValue),
+        ],
+      });
+      bindKeyboardNav(marks, { tooltip });
+      renderDataTable(container, svg, dataTable, {
+        caption: chartLabel,
+        columns: [formatAxisTitle(rowAxis) || "행", ...columns],
+        rows: rows.map((row) => [
+          row,
+          ...columns.map((column) => {
+            const value = valueOf(row, column);
+            return value == null ? "" : formatValue(value);
+          }),
+        ]),
+      });
+    },
+  });
+
+  return {
+    /**
+     * 데이터 업데이트
+     * @param {HeatmapDatum[]} newData
+     */
+    update(newData) {
+      currentData = newData;
+      chartWrapper.update();
+    },
+
+    /**
+     * 차트 제거
+     */
+    destroy() {
+      chartWrapper.destroy();
+    },
+  };
+}
@@ -1,23 +1,69 @@
 import { createChartWrapper } from "../core/ChartWrapper.js";
-import { linearScale, bandScale } from "../core/scales.js";
-import { makeTicks } from "../core/ticks.js";
+import { makeScale, linearScale, toTime } from "../core/scales.js";
+import { resolveValueAxis } from "../core/ticks.js";
 import { renderAxisLinear } from "../core/AxisLinear.js";
-import { renderAxisBand } from "../core/AxisBand.js";
+import { resolveXAxis, renderXAxis } from "../core/xAxis.js";
+import { formatAxisTitle } from "../core/AxisTitle.js";
+import { resolveValueFormat } from "../core/format.js";
+import { renderCrosshair } from "../core/Crosshair.js";
+import {
+  describeChart,
+  summarizeExtent,
+  bindKeyboardNav,
+} from "../core/a11y.js";
+import { renderDataTable } from "../core/DataTable.js";
+import { clampRange, createXZoom } from "../core/zoom.js";
+import { renderBrush } from "../core/Brush.js";
+import {
+  curvePath,
+  areaPath,
+  isMissing,
+  splitSegments,
+} from "../core/curves.js";
 
 /**
  * @typedef {Object} LineDatum
- * @property {string} label
- * @property {number} value
+ * @property {string} [label] - 카테고리 라벨 (카테고리 축)
+ * @property {Date | string | number} [date] - 날짜 (시간 축, Date / ISO 문자열 / 타임스탬프)
+ * @property {number} [x] - X 값 (연속 축, 순서 무관 — 정렬 후 연결)
+ * @property {number} [value] - Y 값
+ * @property {number} [y] - Y 값 (x와 함께 쓰는 별칭)
  */
 
 /**
  * @typedef {Object} ValueAxisOpts
+ * @property {'linear' | 'log' | 'symlog'} [type] - 축 종류 (log는 0 이하 값을 최소값으로 고정)
  * @property {number} [min]
  * @property {number} [max]
  * @property {import('../core/types').YTicks} [ticks]
  * @property {(v: number) => string | number} [formatTick]
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
  */
 
+/**
+ * @typedef {Object} CategoryAxisOpts
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
+ */
+
+/**
+ * @typedef {Object} ZoomOpts
+ * @property {boolean} [brush=false] - 아래에 전체 구간 개요와 드래그할 수 있는 창 표시
+ * @property {number} [brushHeight=40] - 개요 높이
+ * @property {number} [minSpan] - 최소 표시 구간 (X 단위, 시간 축은 ms — 생략 시 평균 포인트 간격의 2배)
+ */
+
+/**
+ * @typedef {Object} VisibleRange
+ * @property {Date | number} start - 보이는 구간 시작 (시간 축은 Date)
+ * @property {Date | number} end - 보이는 구간 끝
+ * @property {boolean} zoomed - 확대 상태 여부 (전체 구간이면 false)
+ */
+
+/** X축과 개요 사이 간격 */
+const BRUSH_GAP = 12;
+
 /**
  * createLineChart
  * 단일 라인 차트 생성
@@ -32,10 +78,20 @@ import { renderAxisBand } from "../core/AxisBand.js";
  * @param {boolean} [props.showDots=true] - 포인트 표시 여부
  * @param {number} [props.dotRadius=3] - 포인트 반지름
  * @param {boolean} [props.rotateLabels=false] - X축 라벨 회전 여부
+ * @param {import('../core/AxisBand').LabelLayout} [props.labelLayout='auto'] - 범주 라벨 겹침 처리 전략
+ * @param {import('../core/xAxis').XAxisOpts} [props.xAxis] - X축 설정 (date 데이터면 시간 축, x 데이터면 연속 축)
  * @param {ValueAxisOpts} [props.valueAxis] - 값 축 설정
+ * @param {CategoryAxisOpts} [props.categoryAxis] - 범주 축 설정
+ * @param {import('../core/format').ValueFormat} [props.valueFormat] - 값 포맷 (눈금·툴팁 공통)
+ * @param {string | string[]} [props.locale] - 숫자·날짜 포맷 로케일
  * @param {Partial<import('../core/types').Padding>} [props.framePadding] - 프레임 패딩
  * @param {boolean} [props.area=false] - 영역(면) 채우기 여부
- * @returns {{ update: (newData: LineDatum[]) => void, destroy: () => void }}
+ * @param {import('../core/curves').CurveType} [props.curve='linear'] - 선 보간 방식 (선·영역 공통)
+ * @param {import('../core/curves').MissingMode} [props.missing='gap'] - 결측값(null / undefined / NaN) 처리 방식
+ * @param {string} [props.ariaLabel] - 스크린 리더용 차트 이름 (생략 시 '라인 차트')
+ * @param {boolean | import('../core/DataTable').DataTableOpts} [props.dataTable] - 데이터 대체 표 (true면 스크린 리더 전용, { toggle: true }면 보기 버튼)
+ * @param {boolean | ZoomOpts} [props.zoom] - X 방향 확대·이동 (시간·연속 X축, 구간이 바뀌면 rangechange 이벤트)
+ * @returns {{ update: (newData: LineDatum[]) => void, getVisibleRange: () => VisibleRange | null, setVisibleRange: (start: Date | string | number, end: Date | string | number) => void, resetZoom: () => void, destroy: () => void }}
  */
 export function createLineChart(
   container,
@@ -48,9 +104,19 @@ export function createLineChart(
     showDots = true,
     dotRadius = 3,
     rotateLabels = false,
+    labelLayout = "auto",
+    xAxis,
     valueAxis,
+    categoryAxis,
+    valueFormat,
+    locale,
     framePadding,
     area = false,
+    curve = "linear",
+    missing = "gap",
+    ariaLabel,
+    dataTable,
+    zoom,
   }
 ) {
   // 컨테이너 초기화
@@ -67,56 +133,153 @@ export function createLineChart(
 
   let currentData = data;
 
+  // { x, y } 데이터는 y를 값으로 사용 (결측은 null, 'zero'면 0)
+  const valueOf = (d) => {
+    const v = d.value !== undefined ? d.value : d.y;
+    if (!isMissing(v)) return v;
+    return missing === "zero" ? 0 : null;
+  };
+
+  // 눈금·툴팁 공통 값 포맷
+  const format = resolveValueFormat(valueAxis, valueFormat, locale);
+
+  // X축 날짜·숫자 라벨도 차트 로케일을 따름
+  const xAxisOpts = locale ? { locale, ...xAxis } : xAxis;
+
+  // 확대·이동 상태 (viewRange가 null이면 전체 구간)
+  const zoomOpts = zoom === true ? {} : zoom || null;
+  const brushHeight = zoomOpts?.brushHeight ?? 40;
+  let viewRange = null;
+  let visibleRange = null;
+  let xType = null;
+  let isTransition = false;
+  let zoomer = null;
+
+  // 구간 값 ↔ 데이터 (시간 축은 타임스탬프)
+  const toRangeValue = (v) => (xType === "time" ? new Date(v) : v);
+  const rangeRow = (v) => (xType === "time" ? { date: v } : { x: v });
+
+  // 전체 보기 버튼 (확대했을 때만 표시)
+  const resetButton = document.createElement("button");
+  resetButton.type = "button";
+  resetButton.className = "chart-zoom-reset";
+  resetButton.textContent = "전체 보기";
+  resetButton.style.display = "none";
+  if (zoomOpts) container.appendChild(resetButton);
+
+  // 구간 변경 → 다시 그리기 (그리기 애니메이션 없이), 사용자 조작이면 이벤트 발생
+  const applyRange = (next, notify) => {
+    viewRange = next;
+    isTransition = true;
+    tooltip.style.display = "none";
+    chartWrapper.update();
+    isTransition = false;
+    if (notify && visibleRange) {
+      container.dispatchEvent(
+        new CustomEvent("rangechange", { detail: { ...visibleRange } })
+      );
+    }
+  };
+  resetButton.addEventListener("click", () => applyRange(null, true));
+
   // 차트 래퍼 생성
   const chartWrapper = createChartWrapper(container, {
     width,
     height,
     framePadding,
-    render: ({ innerWidth, innerHeight, svg, g }) => {
+    render: ({ innerWidth, innerHeight, svg, g, growPadding }) => {
       // 기존 내용 제거
       g.innerHTML = "";
+      g.classList.toggle("chart-transition", isTransition);
+
+      // X축 스케일 (카테고리 밴드 / 시간)
+      const fullX = resolveXAxis(currentData, innerWidth, xAxisOpts);
 
-      const labels = currentData.map((d) => d.label);
-      const values = currentData.map((d) => Math.max(0, d.value));
+      // 확대: 보이는 구간으로 X축을 다시 결정 (시간·연속 축만)
+      const zoomable = Boolean(
+        zoomOpts && fullX.domain && fullX.rows.length > 1
+      );
+      const full = zoomable ? fullX.domain : null;
+      const minSpan = zoomable
+        ? zoomOpts.minSpan ??
+          ((full[1] - full[0]) / (fullX.rows.length - 1)) * 2
+        : 0;
+      const range =
+        zoomable && viewRange ? clampRange(viewRange, full, minSpan) : null;
+      const zoomed = Boolean(range && range[1] - range[0] < full[1] - full[0]);
+      const x = zoomed
+        ? resolveXAxis(currentData, innerWidth, {
+            ...xAxisOpts,
+            min: range[0],
+            max: range[1],
+          })
+        : fullX;
+      xType = fullX.type;
+      visibleRange = zoomable
+        ? {
+            start: toRangeValue(x.domain[0]),
+            end: toRangeValue(x.domain[1]),
+            zoomed,
+          }
+        : null;
+      resetButton.style.display = zoomed ? "" : "none";
+
+      // 값 축은 보이는 구간의 값으로 맞춤
+      const inView = (d) => {
+        const cx = x.xOf(d);
+        return cx >= -0.5 && cx <= innerWidth + 0.5;
+      };
+      const values = x.rows
+        .filter((d) => !zoomed || inView(d))
+        .map(valueOf)
+        .filter((v) => v !== null);
+      const dataMin = values.length ? Math.min(...values, 0) : 0;
       const dataMax = values.length ? Math.max(...values, 0) : 0;
 
-      const vMin = valueAxis?.min ?? 0;
-      const vMaxRaw = valueAxis?.max ?? dataMax;
-      const vMax = vMaxRaw === vMin ? vMin + 1 : vMaxRaw;
-      const ticks = makeTicks(vMin, vMax, valueAxis?.ticks);
+      // min/max/ticks 생략 시 보기 좋은 경계와 눈금으로 자동 확장
+      const {
+        min: vMin,
+        max: vMax,
+        ticks,
+      } = resolveValueAxis(dataMin, dataMax, valueAxis, values);
 
       // 스케일 생성
-      const xBand = bandScale(labels, 0, innerWidth, 0.1);
-      const yScale = linearScale(vMin, vMax, innerHeight, 0);
+      const yScale = makeScale(valueAxis?.type, vMin, vMax, innerHeight, 0);
 
       // 포인트 계산
-      const points = currentData.map((d) => {
-        const cx = xBand.getX(d.label) + xBand.bandWidth / 2;
-        const cy = yScale(Math.max(0, d.value));
-        return { ...d, cx, cy };
+      const points = x.rows.map((d) => {
+        const value = valueOf(d);
+        const cx = x.xOf(d);
+        const cy = value === null ? null : yScale(value);
+        return { ...d, label: x.labelOf(d), value, cx, cy };
       });
+      const present = points.filter((p) => p.value !== null);
+      // 포인트·크로스헤어·키보드 탐색은 보이는 구간만
+      const shown = zoomed ? present.filter(inView) : present;
 
-      // 선 경로 (path d 속성)
-      let lineD = "";
-      if (points.length) {
-        const [first, ...rest] = points;
-        lineD =
-          `M ${first.cx} ${first.cy} ` +
-          rest.map((p) => `L ${p.cx} ${p.cy}`).join(" ");
-      }
+      // 결측 처리 방식에 따른 연속 구간
+      const segments = splitSegments(
+        points,
+        (p) => p.value === null,
+        missing
+      ).map((seg) => seg.map((p) => [p.cx, p.cy]));
+
+      // 선 경로 (path d 속성, 구간마다 새로 시작)
+      const lineD = segments.map((seg) => curvePath(seg, curve)).join(" ");
 
       // 영역 경로 (area)
       let areaD = "";
-      if (area && points.length) {
+      if (area && segments.length) {
         const baselineY = yScale(vMin);
-        const [first, ...rest] = points;
-        const main =
-          `M ${first.cx} ${first.cy} ` +
-          rest.map((p) => `L ${p.cx} ${p.cy}`).join(" ");
-        const closing = `L ${points[points.length - 1].cx} ${baselineY} L ${
-          first.cx
-        } ${baselineY} Z`;
-        areaD = `${main} ${closing}`;
+        areaD = segments
+          .map((seg) =>
+            areaPath(
+              seg,
+              seg.map(([cx]) => [cx, baselineY]),
+              curve
+            )
+          )
+          .join(" ");
       }
 
       // 1) Y축
@@ -124,31 +287,66 @@ export function createLineChart(
         "http://www.w3.org/2000/svg",
         "g"
       );
-      renderAxisLinear(axisLinearG, {
+      const { size: linearAxisSize } = renderAxisLinear(axisLinearG, {
         ticks,
         scale: yScale,
         length: innerWidth,
         side: "left",
         grid: true,
-        formatTick: valueAxis?.formatTick,
+        formatTick: format.tick,
+        type: valueAxis?.type,
+        title: formatAxisTitle(valueAxis),
+        extent: innerHeight,
       });
       g.appendChild(axisLinearG);
+      growPadding("left", linearAxisSize + 4);
 
       // 2) X축
-      const axisBandG = document.createElementNS(
+      const axisXG = document.createElementNS(
         "http://www.w3.org/2000/svg",
         "g"
       );
-      axisBandG.setAttribute("transform", `translate(0, ${innerHeight})`);
-      renderAxisBand(axisBandG, {
-        labels,
-        getPos: xBand.getX,
-        bandWidth: xBand.bandWidth,
-        side: "bottom",
-        rotate: rotateLabels,
-        tickPadding: 20,
+      const { size: xAxisSize } = renderXAxis(axisXG, x, {
+        innerWidth,
+        innerHeight,
+        rotateLabels,
+        labelLayout,
+        xAxis: xAxisOpts,
+        title: formatAxisTitle(categoryAxis),
       });
-      g.appendChild(axisBandG);
+      g.appendChild(axisXG);
+      // 회전·긴 라벨, 축 제목이 잘리지 않도록 여백 확보 (개요가 있으면 그 아래에)
+      const showBrush = zoomable && zoomOpts.brush;
+      growPadding(
+        "bottom",
+        xAxisSize + 4 + (showBrush ? BRUSH_GAP + brushHeight : 0)
+      );
+
+      // 확대하면 플롯 밖으로 나간 선·포인트를 잘라냄
+      let plotG = g;
+      if (zoomed) {
+        const clipId = `line-clip-${Math.random().toString(36).substr(2, 9)}`;
+        const clipPath = document.createElementNS(
+          "http://www.w3.org/2000/svg",
+          "clipPath"
+        );
+        clipPath.setAttribute("id", clipId);
+        const clipRect = document.createElementNS(
+          "http://www.w3.org/2000/svg",
+          "rect"
+        );
+        // 위아래는 포인트가 잘리지 않도록 여유
+        const margin = dotRadius + strokeWidth;
+        clipRect.setAttribute("y", -margin);
+        clipRect.setAttribute("width", Math.max(0, innerWidth));
+        clipRect.setAttribute("height", Math.max(0, innerHeight + margin * 2));
+        clipPath.appendChild(clipRect);
+        g.appendChild(clipPath);
+
+        plotG = document.createElementNS("http://www.w3.org/2000/svg", "g");
+        plotG.setAttribute("clip-path", `url(#${clipId})`);
+        g.appendChild(plotG);
+      }
 
       // 3) 영역 (area)
       if (area && areaD) {
@@ -159,7 +357,7 @@ export function createLineChart(
         areaPath.setAttribute("d", areaD);
         areaPath.setAttribute("fill", color);
         areaPath.classList.add("line-area");
-        g.appendChild(areaPath);
+        plotG.appendChild(areaPath);
       }
 
       // 4) 선 (line)
@@ -175,44 +373,146 @@ export function createLineChart(
       linePath.setAttribute("stroke-linejoin", "round");
       linePath.setAttribute("pathLength", "1"); // CSS 애니메이션용
       linePath.classList.add("line-path");
-      g.appendChild(linePath);
-
-      // 5) 포인트 (dots)
-      if (showDots) {
-        points.forEach((p) => {
-          const circle = document.createElementNS(
-            "http://www.w3.org/2000/svg",
-            "circle"
-          );
-          circle.setAttribute("cx", p.cx);
-          circle.setAttribute("cy", p.cy);
-          circle.setAttribute("r", dotRadius);
-          circle.setAttribute("fill", color);
-          circle.classList.add("line-dot");
-
-          // 툴팁 이벤트
-          circle.addEventListener("mouseenter", (e) => {
-            const containerRect = container.getBoundingClientRect();
-            tooltip.style.display = "block";
-            tooltip.style.left = `${e.clientX - containerRect.left}px`;
-            tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
-            tooltip.innerHTML = `<strong>${
-              p.label
-            }</strong> · ${p.value.toLocaleString()}`;
-          });
-
-          circle.addEventListener("mousemove", (e) => {
-            const containerRect = container.getBoundingClientRect();
-            tooltip.style.left = `${e.clientX - containerRect.left}px`;
-            tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
-          });
-
-          circle.addEventListener("mouseleave", () => {
-            tooltip.style.display = "none";
-          });
-          g.appendChild(circle);
+      plotG.appendChild(linePath);
+
+      // 5) 포인트 (dots, showDots가 false여도 키보드 포커스용 투명 포인트)
+      const renderTooltip = (c) =>
+        `<strong>${c.label}</strong> · ${format.value(c.value)}`;
+      const columns = shown.map((p) => ({
+        x: p.cx,
+        label: p.label,
+        value: p.value,
+        points: [{ cy: p.cy, color }],
+      }));
+      const marks = columns.map((column) => {
+        const circle = document.createElementNS(
+          "http://www.w3.org/2000/svg",
+          "circle"
+        );
+        circle.setAttribute("cx", column.x);
+        circle.setAttribute("cy", column.points[0].cy);
+        circle.setAttribute("r", dotRadius);
+        circle.setAttribute("fill", showDots ? color : "transparent");
+        circle.classList.add("line-dot");
+        plotG.appendChild(circle);
+        return { el: circle, html: renderTooltip(column), column };
+      });
+
+      // 6) 크로스헤어 (가장 가까운 X로 스냅, 포인트 없이도 툴팁 표시)
+      const crosshair = renderCrosshair(g, {
+        columns,
+        innerWidth,
+        innerHeight,
+        tooltip,
+        dotRadius: dotRadius + 1,
+        renderTooltip,
+      });
+
+      // 7) 개요 (전체 구간 선 + 보이는 구간 창)
+      const rangeText = zoomed
+        ? `${x.labelOf(rangeRow(x.domain[0]))} ~ ${x.labelOf(
+            rangeRow(x.domain[1])
+          )}`
+        : "";
+      let brushG = null;
+      if (showBrush) {
+        const brushX = linearScale(full[0], full[1], 0, innerWidth);
+        // 개요 값 축은 확대와 무관하게 전체 구간의 값으로
+        const brushValues = fullX.rows.map(valueOf).filter((v) => v !== null);
+        const brushDomain = resolveValueAxis(
+          brushValues.length ? Math.min(...brushValues, 0) : 0,
+          brushValues.length ? Math.max(...brushValues, 0) : 0,
+          valueAxis,
+          brushValues
+        );
+        const brushY = makeScale(
+          valueAxis?.type,
+          brushDomain.min,
+          brushDomain.max,
+          brushHeight,
+          0
+        );
+        const brushPoints = fullX.rows.map((d) => {
+          const value = valueOf(d);
+          return {
+            value,
+            cx: fullX.xOf(d),
+            cy: value === null ? null : brushY(value),
+          };
+        });
+        const brushD = splitSegments(
+          brushPoints,
+          (p) => p.value === null,
+          missing
+        )
+          .map((seg) =>
+            curvePath(
+              seg.map((p) => [p.cx, p.cy]),
+              curve
+            )
+          )
+          .join(" ");
+
+        brushG = document.createElementNS("http://www.w3.org/2000/svg", "g");
+        brushG.setAttribute(
+          "transform",
+          `translate(0, ${innerHeight + xAxisSize + BRUSH_GAP})`
+        );
+        renderBrush(brushG, {
+          width: innerWidth,
+          height: brushHeight,
+          scale: brushX,
+          range: x.domain,
+          lines: [{ d: brushD, color }],
+          label: rangeText || "전체",
+        });
+        g.appendChild(brushG);
+      }
+
+      // 제스처는 SVG에 한 번만 연결하고 그릴 때마다 영역·구간 갱신
+      if (zoomable) {
+        zoomer ??= createXZoom(svg, {
+          onChange: (next) => applyRange(next, true),
+        });
+        zoomer.setFrame({
+          plot: g.querySelector(".crosshair-overlay"),
+          brush: brushG,
+          width: innerWidth,
+          domain: x.domain,
+          full,
+          minSpan,
         });
+      } else {
+        zoomer?.setFrame(null);
       }
+      g.classList.toggle("line-zoomable", zoomable);
+
+      // 접근성: 차트 이름·요약, 포인트 키보드 탐색 (포커스하면 크로스헤어 표시), 데이터 표
+      const chartLabel = ariaLabel ?? "라인 차트";
+      describeChart(svg, {
+        label: chartLabel,
+        summary: [
+          `포인트 ${present.length}개`,
+          summarizeExtent(present, format.value),
+          rangeText && `표시 구간 ${rangeText}`,
+        ],
+      });
+      bindKeyboardNav([marks], {
+        tooltip,
+        onFocus: (mark) => crosshair.showColumn(mark.column, mark.el),
+        onBlur: crosshair.hide,
+      });
+      renderDataTable(container, svg, dataTable, {
+        caption: chartLabel,
+        columns: [
+          formatAxisTitle(categoryAxis) || "항목",
+          formatAxisTitle(valueAxis) || "값",
+        ],
+        rows: points.map((p) => [
+          p.label,
+          p.value === null ? "" : format.value(p.value),
+        ]),
+      });
     },
   });
 
@@ -226,10 +526,36 @@ export function createLineChart(
       chartWrapper.update();
     },
 
+    /**
+     * 보이는 X 구간 (zoom 옵션이 없거나 카테고리 축이면 null)
+     * @returns {VisibleRange | null}
+     */
+    getVisibleRange() {
+      return visibleRange && { ...visibleRange };
+    },
+
+    /**
+     * 보이는 X 구간 지정 (rangechange 이벤트는 발생하지 않음)
+     * @param {Date | string | number} start
+     * @param {Date | string | number} end
+     */
+    setVisibleRange(start, end) {
+      const toValue = xType === "time" ? toTime : Number;
+      applyRange([toValue(start), toValue(end)], false);
+    },
+
+    /**
+     * 전체 구간으로 되돌림 (rangechange 이벤트는 발생하지 않음)
+     */
+    resetZoom() {
+      applyRange(null, false);
+    },
+
     /**
      * 차트 제거
      */
     destroy() {
+      zoomer?.destroy();
       chartWrapper.destroy();
     },
   };
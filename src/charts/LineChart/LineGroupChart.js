@@ -1,29 +1,57 @@
 import { createChartWrapper } from "../core/ChartWrapper.js";
-import { linearScale, bandScale } from "../core/scales.js";
-import { makeTicks } from "../core/ticks.js";
+import { makeScale } from "../core/scales.js";
+import { resolveValueAxis } from "../core/ticks.js";
 import { renderAxisLinear } from "../core/AxisLinear.js";
-import { renderAxisBand } from "../core/AxisBand.js";
-import { renderLegend } from "../core/Legend.js";
+import { resolveXAxis, renderXAxis } from "../core/xAxis.js";
+import { formatAxisTitle } from "../core/AxisTitle.js";
+import { createFormatter, resolveValueFormat } from "../core/format.js";
+import { renderLegend, toggleLegendKey } from "../core/Legend.js";
 import { createColorScale } from "../core/colorScale.js";
+import { interpolateAttrs, tween } from "../core/transition.js";
+import { renderCrosshair } from "../core/Crosshair.js";
+import {
+  describeChart,
+  summarizeExtent,
+  bindKeyboardNav,
+} from "../core/a11y.js";
+import { renderDataTable } from "../core/DataTable.js";
+import {
+  curvePath,
+  areaPath,
+  isMissing,
+  splitSegments,
+} from "../core/curves.js";
 
 /**
  * @typedef {Object} GroupLineDatum
- * @property {string} label
+ * @property {string} [label] - 카테고리 라벨 (카테고리 축)
+ * @property {Date | string | number} [date] - 날짜 (시간 축, Date / ISO 문자열 / 타임스탬프)
+ * @property {number} [x] - X 값 (연속 축, 순서 무관 — 정렬 후 연결)
  * @property {Record<string, number>} values
  */
 
 /**
  * @typedef {Object} ValueAxisOpts
+ * @property {'linear' | 'log' | 'symlog'} [type] - 축 종류 (log는 0 이하 값을 최소값으로 고정)
  * @property {number} [min]
  * @property {number} [max]
  * @property {import('../core/types').YTicks} [ticks]
  * @property {(v: number) => string | number} [formatTick]
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
+ */
+
+/**
+ * @typedef {Object} CategoryAxisOpts
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
  */
 
 /**
  * @typedef {Object} LegendOpts
  * @property {boolean} [show]
  * @property {'top' | 'right'} [position]
+ * @property {boolean} [toggle=true] - 항목 클릭으로 시리즈 표시 전환 (Shift+클릭·더블클릭: 하나만 보기)
  */
 
 /**
@@ -41,12 +69,26 @@ import { createColorScale } from "../core/colorScale.js";
  * @param {boolean} [props.showDots=true] - 포인트 표시 여부
  * @param {number} [props.dotRadius=3] - 포인트 반지름
  * @param {boolean} [props.rotateLabels=false] - X축 라벨 회전 여부
+ * @param {import('../core/AxisBand').LabelLayout} [props.labelLayout='auto'] - 범주 라벨 겹침 처리 전략
+ * @param {import('../core/xAxis').XAxisOpts} [props.xAxis] - X축 설정 (date 데이터면 시간 축, x 데이터면 연속 축)
  * @param {ValueAxisOpts} [props.valueAxis] - 값 축 설정
+ * @param {ValueAxisOpts} [props.valueAxisRight] - 보조(오른쪽) 값 축 설정 (stack 'none'에서만 적용)
+ * @param {Record<string, 'left' | 'right'>} [props.seriesAxis] - 시리즈별 값 축 배정 (기본 'left', 보조 축을 쓸 수 없으면 경고 후 왼쪽)
+ * @param {CategoryAxisOpts} [props.categoryAxis] - 범주 축 설정
+ * @param {import('../core/format').ValueFormat} [props.valueFormat] - 값 포맷 (눈금·툴팁 공통)
+ * @param {string | string[]} [props.locale] - 숫자·날짜 포맷 로케일
  * @param {Partial<import('../core/types').Padding>} [props.framePadding] - 프레임 패딩
  * @param {Record<string, string>} [props.seriesLabels] - 시리즈 라벨 매핑
  * @param {LegendOpts} [props.legend] - 범례 설정
  * @param {boolean} [props.area=false] - 영역(면) 채우기 여부
- * @returns {{ update: (newData: GroupLineDatum[]) => void, destroy: () => void }}
+ * @param {import('../core/curves').CurveType} [props.curve='linear'] - 선 보간 방식 (선·영역 공통)
+ * @param {import('../core/curves').MissingMode} [props.missing='gap'] - 결측값(null / undefined / NaN) 처리 방식
+ * @param {'none' | 'stacked' | 'percent' | 'stream'} [props.stack='none'] - 누적 영역 모드 (stream은 0 중심 대칭, 값 축 생략)
+ * @param {string[]} [props.hidden] - 처음에 숨길 시리즈 키
+ * @param {'order' | 'desc' | 'asc'} [props.tooltipSort='order'] - 툴팁 시리즈 순서 (order: seriesOrder 순서, desc/asc: 값 크기순)
+ * @param {string} [props.ariaLabel] - 스크린 리더용 차트 이름 (생략 시 '그룹 라인 차트' / '누적 영역 차트')
+ * @param {boolean | import('../core/DataTable').DataTableOpts} [props.dataTable] - 데이터 대체 표 (true면 스크린 리더 전용, { toggle: true }면 보기 버튼)
+ * @returns {{ update: (newData: GroupLineDatum[]) => void, getHidden: () => string[], setHidden: (keys: string[]) => void, destroy: () => void }}
  */
 export function createLineGroupChart(
   container,
@@ -60,11 +102,25 @@ export function createLineGroupChart(
     showDots = true,
     dotRadius = 3,
     rotateLabels = false,
+    labelLayout = "auto",
+    xAxis,
     valueAxis,
+    valueAxisRight,
+    seriesAxis,
+    categoryAxis,
+    valueFormat,
+    locale,
     framePadding,
     seriesLabels,
     legend = { show: true, position: "top" },
     area = false,
+    curve = "linear",
+    missing = "gap",
+    stack = "none",
+    hidden,
+    tooltipSort = "order",
+    ariaLabel,
+    dataTable,
   }
 ) {
   // 컨테이너 초기화
@@ -81,34 +137,175 @@ export function createLineGroupChart(
 
   let currentData = data;
 
+  // 범례로 숨긴 시리즈와 전환 애니메이션 상태
+  let hiddenKeys = new Set(hidden ?? []);
+  let isTransition = false;
+  let prevGeometry = new Map();
+  let renderedGeometry = new Map();
+  let cancelTransition = null;
+
   const displayOf = (key) => seriesLabels?.[key] ?? key;
 
+  // 시리즈 값 (결측은 null, 'zero'면 0)
+  const valueAt = (d, key) => {
+    const v = d.values[key];
+    if (!isMissing(v)) return v;
+    return missing === "zero" ? 0 : null;
+  };
+
+  const isStacked = stack !== "none";
+  const isPercent = stack === "percent";
+
+  // 시리즈별 값 축 (보조 축 설정이 있고 누적이 아닐 때만 'right' 배정 유효)
+  const rightUnsupported = isStacked
+    ? "누적 모드에서는"
+    : !valueAxisRight
+    ? "valueAxisRight 없이는"
+    : null;
+  const axisOf = (key) =>
+    !rightUnsupported && seriesAxis?.[key] === "right" ? "right" : "left";
+  if (
+    rightUnsupported &&
+    Object.values(seriesAxis ?? {}).some((side) => side === "right")
+  ) {
+    console.warn(
+      `[vanilla-charts] ${rightUnsupported} 보조 축을 쓸 수 없어 seriesAxis 'right' 시리즈를 왼쪽 축에 표시합니다.`
+    );
+  }
+
+  // 축별 눈금·툴팁 공통 값 포맷
+  const leftFormat = resolveValueFormat(valueAxis, valueFormat, locale);
+  const rightFormat = resolveValueFormat(valueAxisRight, valueFormat, locale);
+  const formatOf = (key) =>
+    axisOf(key) === "right" ? rightFormat.value : leftFormat.value;
+
+  // 100% 모드: 값 축은 비율, 툴팁의 원래 값은 valueFormat으로 표시
+  const axisFormat = isPercent
+    ? resolveValueFormat(valueAxis, { type: "percent", digits: 0 }, locale)
+    : leftFormat;
+  const formatRaw = isPercent
+    ? createFormatter(valueFormat, locale)
+    : leftFormat.value;
+  const formatShare = createFormatter({ type: "percent", digits: 1 }, locale);
+
+  // 툴팁 한 줄: 시리즈 값 (누적은 카테고리 내 비율 함께)
+  const seriesRow = (p) =>
+    isStacked
+      ? `${displayOf(p.series)} : ${formatRaw(p.value)} (${formatShare(
+          p.share
+        )})`
+      : `${displayOf(p.series)} : ${formatOf(p.series)(p.value)}`;
+
+  // X축 날짜·숫자 라벨도 차트 로케일을 따름
+  const xAxisOpts = locale ? { locale, ...xAxis } : xAxis;
+
+  // 숨긴 시리즈 변경 → 보이는 시리즈로 도메인을 다시 계산해 이전 위치에서 전환
+  const applyHidden = (next) => {
+    hiddenKeys = next;
+    prevGeometry = renderedGeometry;
+    isTransition = true;
+    tooltip.style.display = "none";
+    chartWrapper.update();
+    isTransition = false;
+  };
+
   // 차트 래퍼 생성
   const chartWrapper = createChartWrapper(container, {
     width,
     height,
     framePadding,
-    render: ({ innerWidth, innerHeight, svg, g }) => {
+    render: ({ innerWidth, innerHeight, svg, g, growPadding }) => {
       // 기존 내용 제거
       g.innerHTML = "";
+      g.classList.toggle("chart-transition", isTransition);
+      if (cancelTransition) cancelTransition();
+      renderedGeometry = new Map();
+      const transitions = [];
 
       // 시리즈 키 추출
       const inferredKeys =
         seriesOrder ??
         Array.from(new Set(currentData.flatMap((d) => Object.keys(d.values))));
 
-      const labels = currentData.map((d) => d.label);
+      // 범례에서 숨기지 않은 시리즈만 도메인·선에 사용
+      const visibleKeys = inferredKeys.filter((k) => !hiddenKeys.has(k));
 
-      // 모든 값 추출
-      const allValues = currentData.flatMap((d) =>
-        inferredKeys.map((k) => d.values[k] ?? 0)
-      );
-      const dataMax = allValues.length ? Math.max(...allValues, 0) : 0;
+      // 전환: 이전 위치에서 이동, 새로 보이는 요소는 나타남
+      const transitionFrom = (el, geometryKey, geometry) => {
+        renderedGeometry.set(geometryKey, geometry);
+        if (!isTransition) return;
+        const prev = prevGeometry.get(geometryKey);
+        transitions.push(
+          prev
+            ? interpolateAttrs(el, prev, geometry)
+            : interpolateAttrs(el, { opacity: 0 }, { opacity: 1 })
+        );
+      };
 
-      const vMin = valueAxis?.min ?? 0;
-      const vMaxRaw = valueAxis?.max ?? dataMax;
-      const vMax = vMaxRaw === vMin ? vMin + 1 : vMaxRaw;
-      const ticks = makeTicks(vMin, vMax, valueAxis?.ticks);
+      // X축 스케일 (카테고리 밴드 / 시간)
+      const x = resolveXAxis(currentData, innerWidth, xAxisOpts);
+
+      // 누적 구간: 행마다 시리즈별 [y0, y1] (seriesOrder 순서대로 위로 쌓음, 결측은 두께 0)
+      const stacks = x.rows.map((d) => {
+        const vals = visibleKeys.map((k) => valueAt(d, k) ?? 0);
+        const total = vals.reduce((acc, v) => acc + v, 0);
+        const absTotal = vals.reduce((acc, v) => acc + Math.abs(v), 0);
+        const sizes = isPercent
+          ? vals.map((v) => (absTotal ? v / absTotal : 0))
+          : vals;
+        // stream: 전체 두께의 절반만큼 내려 0을 중심으로 대칭
+        let acc =
+          stack === "stream" ? -sizes.reduce((a, v) => a + v, 0) / 2 : 0;
+        const layers = {};
+        visibleKeys.forEach((k, i) => {
+          layers[k] = { y0: acc, y1: acc + sizes[i] };
+          acc += sizes[i];
+        });
+        return { total, absTotal, layers };
+      });
+
+      // 시리즈 값 (누적이 아닐 때 도메인용, 결측 제외)
+      const valuesOf = (keys) =>
+        x.rows
+          .flatMap((d) => keys.map((k) => valueAt(d, k)))
+          .filter((v) => v !== null);
+
+      // 축별 도메인·스케일 (해당 축에 배정된 값만 사용)
+      const resolveAxis = (axisValues, opts) => {
+        const dataMin = axisValues.length ? Math.min(...axisValues, 0) : 0;
+        const dataMax = axisValues.length ? Math.max(...axisValues, 0) : 0;
+
+        // min/max/ticks 생략 시 보기 좋은 경계와 눈금으로 자동 확장
+        const { min, max, ticks } = resolveValueAxis(
+          dataMin,
+          dataMax,
+          opts,
+          axisValues
+        );
+        const scale = makeScale(opts?.type, min, max, innerHeight, 0);
+        return { min, max, ticks, scale };
+      };
+
+      const rightKeys = visibleKeys.filter((k) => axisOf(k) === "right");
+      const leftValues = isStacked
+        ? stacks.flatMap((s) =>
+            Object.values(s.layers).flatMap((l) => [l.y0, l.y1])
+          )
+        : valuesOf(visibleKeys.filter((k) => axisOf(k) === "left"));
+      const leftAxis = resolveAxis(
+        leftValues,
+        isPercent
+          ? {
+              ...valueAxis,
+              min: valueAxis?.min ?? Math.min(0, ...leftValues),
+              max: valueAxis?.max ?? 1,
+            }
+          : valueAxis
+      );
+      const rightAxis = rightKeys.length
+        ? resolveAxis(valuesOf(rightKeys), valueAxisRight)
+        : null;
+      const axisFor = (key) => (axisOf(key) === "right" ? rightAxis : leftAxis);
 
       // 색상 스케일
       const colorOf = createColorScale(inferredKeys, colors);
@@ -125,6 +322,20 @@ export function createLineGroupChart(
             seriesLabels ?? Object.fromEntries(inferredKeys.map((k) => [k, k])),
           getColor: colorOf,
           position: legend.position ?? "top",
+          hidden: hiddenKeys,
+          onToggle:
+            legend.toggle === false
+              ? undefined
+              : (key, isolate) => {
+                  applyHidden(
+                    toggleLegendKey(hiddenKeys, key, inferredKeys, isolate)
+                  );
+                  container.dispatchEvent(
+                    new CustomEvent("legendchange", {
+                      detail: { key, hidden: [...hiddenKeys] },
+                    })
+                  );
+                },
         });
         // 툴팁 다음, SVG 래퍼 앞에 삽입
         const svgWrapper = container.querySelector("div:not(.chart-tooltip)");
@@ -138,89 +349,132 @@ export function createLineGroupChart(
         existingLegends.forEach((el) => el.remove());
       }
 
-      // 스케일 생성
-      const xBand = bandScale(labels, 0, innerWidth, 0.1);
-      const yScale = linearScale(vMin, vMax, innerHeight, 0);
-
       // 각 시리즈별로 포인트와 라인 데이터 생성
-      const seriesData = inferredKeys.map((seriesKey) => {
-        const points = currentData.map((d) => {
-          const cx = xBand.getX(d.label) + xBand.bandWidth / 2;
-          const cy = yScale(Math.max(0, d.values[seriesKey] ?? 0));
+      const seriesData = visibleKeys.map((seriesKey) => {
+        const { scale: yScale, min: vMin } = axisFor(seriesKey);
+        const points = x.rows.map((d, ri) => {
+          const cx = x.xOf(d);
+          const value = valueAt(d, seriesKey);
+          const layer = isStacked ? stacks[ri].layers[seriesKey] : null;
+          const cy = value === null ? null : yScale(layer ? layer.y1 : value);
           return {
-            label: d.label,
+            label: x.labelOf(d),
             series: seriesKey,
-            value: d.values[seriesKey] ?? 0,
+            value,
             cx,
             cy,
+            // 누적 모드: 아래 경계 좌표와 카테고리 내 비율
+            y0: layer ? yScale(layer.y0) : null,
+            share:
+              layer && stacks[ri].absTotal
+                ? Math.abs(value) / stacks[ri].absTotal
+                : 0,
           };
         });
 
-        // 라인 경로
-        let lineD = "";
-        if (points.length > 0) {
-          const [first, ...rest] = points;
-          lineD =
-            `M ${first.cx} ${first.cy} ` +
-            rest.map((p) => `L ${p.cx} ${p.cy}`).join(" ");
-        }
+        // 결측 처리 방식에 따른 연속 구간
+        const segments = splitSegments(
+          points,
+          (p) => p.value === null,
+          missing
+        );
 
-        // 영역 경로
-        let areaD = "";
-        if (area && points.length > 0) {
-          const baselineY = yScale(vMin);
-          const [first, ...rest] = points;
-          const main =
-            `M ${first.cx} ${first.cy} ` +
-            rest.map((p) => `L ${p.cx} ${p.cy}`).join(" ");
-          const closing = `L ${points[points.length - 1].cx} ${baselineY} L ${
-            first.cx
-          } ${baselineY} Z`;
-          areaD = `${main} ${closing}`;
-        }
+        // 라인 경로 (구간마다 새로 시작)
+        const lineD = segments
+          .map((seg) =>
+            curvePath(
+              seg.map((p) => [p.cx, p.cy]),
+              curve
+            )
+          )
+          .join(" ");
+
+        // 영역 경로 (누적 모드는 아래 시리즈의 윗선을 거꾸로 따라 닫음)
+        const baselineY = yScale(vMin);
+        const areaD =
+          isStacked || area
+            ? segments
+                .map((seg) =>
+                  areaPath(
+                    seg.map((p) => [p.cx, p.cy]),
+                    seg.map((p) => [p.cx, isStacked ? p.y0 : baselineY]),
+                    curve
+                  )
+                )
+                .join(" ")
+            : "";
 
         return {
           seriesKey,
-          points,
+          rowPoints: points,
+          points: points.filter((p) => p.value !== null),
           lineD,
           areaD,
           color: colorOf(seriesKey),
         };
       });
 
-      // 1) Y축
-      const axisLinearG = document.createElementNS(
-        "http://www.w3.org/2000/svg",
-        "g"
-      );
-      renderAxisLinear(axisLinearG, {
-        ticks,
-        scale: yScale,
-        length: innerWidth,
-        side: "left",
-        grid: true,
-        formatTick: valueAxis?.formatTick,
-      });
-      g.appendChild(axisLinearG);
+      // 1) Y축 (stream은 기준선이 흔들려 값 눈금이 의미 없으므로 생략)
+      if (stack !== "stream") {
+        const axisLinearG = document.createElementNS(
+          "http://www.w3.org/2000/svg",
+          "g"
+        );
+        const { size: linearAxisSize } = renderAxisLinear(axisLinearG, {
+          ticks: leftAxis.ticks,
+          scale: leftAxis.scale,
+          length: innerWidth,
+          side: "left",
+          grid: true,
+          formatTick: axisFormat.tick,
+          type: valueAxis?.type,
+          title: formatAxisTitle(valueAxis),
+          extent: innerHeight,
+        });
+        g.appendChild(axisLinearG);
+        growPadding("left", linearAxisSize + 4);
+      }
+
+      // 1-1) 보조 Y축 (오른쪽)
+      if (rightAxis) {
+        const axisRightG = document.createElementNS(
+          "http://www.w3.org/2000/svg",
+          "g"
+        );
+        const { size: rightAxisSize } = renderAxisLinear(axisRightG, {
+          ticks: rightAxis.ticks,
+          scale: rightAxis.scale,
+          length: innerWidth,
+          side: "right",
+          grid: false,
+          formatTick: rightFormat.tick,
+          type: valueAxisRight.type,
+          title: formatAxisTitle(valueAxisRight),
+          extent: innerHeight,
+        });
+        g.appendChild(axisRightG);
+        growPadding("right", rightAxisSize + 4);
+      }
 
       // 2) X축
-      const axisBandG = document.createElementNS(
+      const axisXG = document.createElementNS(
         "http://www.w3.org/2000/svg",
         "g"
       );
-      axisBandG.setAttribute("transform", `translate(0, ${innerHeight})`);
-      renderAxisBand(axisBandG, {
-        labels,
-        getPos: xBand.getX,
-        bandWidth: xBand.bandWidth,
-        side: "bottom",
-        rotate: rotateLabels,
-        tickPadding: 20,
+      const { size: xAxisSize } = renderXAxis(axisXG, x, {
+        innerWidth,
+        innerHeight,
+        rotateLabels,
+        labelLayout,
+        xAxis: xAxisOpts,
+        title: formatAxisTitle(categoryAxis),
       });
-      g.appendChild(axisBandG);
+      g.appendChild(axisXG);
+      // 회전·긴 라벨, 축 제목이 잘리지 않도록 여백 확보
+      growPadding("bottom", xAxisSize + 4);
 
-      // 3) 영역 (area)
-      if (area) {
+      // 3) 영역 (area, 누적 모드는 항상 채움)
+      if (area || isStacked) {
         seriesData.forEach(({ seriesKey, areaD, color }) => {
           if (areaD) {
             const areaPath = document.createElementNS(
@@ -230,6 +484,8 @@ export function createLineGroupChart(
             areaPath.setAttribute("d", areaD);
             areaPath.setAttribute("fill", color);
             areaPath.classList.add("line-area");
+            if (isStacked) areaPath.classList.add("line-area--stacked");
+            transitionFrom(areaPath, `area\u0000${seriesKey}`, { d: areaD });
             g.appendChild(areaPath);
           }
         });
@@ -249,47 +505,117 @@ export function createLineGroupChart(
         linePath.setAttribute("stroke-linejoin", "round");
         linePath.setAttribute("pathLength", "1");
         linePath.classList.add("line-path");
+        transitionFrom(linePath, `line\u0000${seriesKey}`, { d: lineD });
         g.appendChild(linePath);
       });
 
-      // 5) 포인트들
-      if (showDots) {
-        seriesData.forEach(({ seriesKey, points, color }) => {
-          points.forEach((p) => {
-            const circle = document.createElementNS(
-              "http://www.w3.org/2000/svg",
-              "circle"
-            );
-            circle.setAttribute("cx", p.cx);
-            circle.setAttribute("cy", p.cy);
-            circle.setAttribute("r", dotRadius);
-            circle.setAttribute("fill", color);
-            circle.classList.add("line-dot");
-
-            // 툴팁 이벤트
-            circle.addEventListener("mouseenter", (e) => {
-              const containerRect = container.getBoundingClientRect();
-              tooltip.style.display = "block";
-              tooltip.style.left = `${e.clientX - containerRect.left}px`;
-              tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
-              tooltip.innerHTML = `<strong>${p.label}</strong> · ${displayOf(
-                p.series
-              )} : ${p.value.toLocaleString()}`;
-            });
-
-            circle.addEventListener("mousemove", (e) => {
-              const containerRect = container.getBoundingClientRect();
-              tooltip.style.left = `${e.clientX - containerRect.left}px`;
-              tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
-            });
-
-            circle.addEventListener("mouseleave", () => {
-              tooltip.style.display = "none";
-            });
-
-            g.appendChild(circle);
+      // 5) 포인트들 (showDots가 false여도 키보드 포커스용 투명 포인트)
+      const marks = seriesData.map(({ seriesKey, rowPoints, color }) =>
+        rowPoints.map((p, ri) => {
+          if (p.value === null) return null;
+          const circle = document.createElementNS(
+            "http://www.w3.org/2000/svg",
+            "circle"
+          );
+          circle.setAttribute("cx", p.cx);
+          circle.setAttribute("cy", p.cy);
+          circle.setAttribute("r", dotRadius);
+          circle.setAttribute("fill", showDots ? color : "transparent");
+          circle.classList.add("line-dot");
+          transitionFrom(circle, `dot\u0000${seriesKey}\u0000${p.label}`, {
+            cx: p.cx,
+            cy: p.cy,
           });
-        });
+          g.appendChild(circle);
+          const html = `<strong>${p.label}</strong> · ${seriesRow(p)}`;
+          return { el: circle, html, ri };
+        })
+      );
+
+      // 6) 크로스헤어: X마다 모든 시리즈 값을 툴팁 하나로
+      const columnByRow = x.rows.map((d, ri) => ({
+        x: x.xOf(d),
+        label: x.labelOf(d),
+        total: stacks[ri].total,
+        points: seriesData
+          .map(({ rowPoints, color }) => ({ ...rowPoints[ri], color }))
+          .filter((p) => p.value !== null),
+      }));
+
+      const sortPoints = (points) =>
+        tooltipSort === "desc"
+          ? [...points].sort((a, b) => b.value - a.value)
+          : tooltipSort === "asc"
+          ? [...points].sort((a, b) => a.value - b.value)
+          : points;
+
+      const crosshair = renderCrosshair(g, {
+        columns: columnByRow.filter((c) => c.points.length),
+        innerWidth,
+        innerHeight,
+        tooltip,
+        dotRadius: dotRadius + 1,
+        renderTooltip: (c) => {
+          const rows = sortPoints(c.points).map(
+            (p) =>
+              `<span class="tooltip-swatch" style="background: ${
+                p.color
+              }"></span>${seriesRow(p)}`
+          );
+          // 누적: 아래에 카테고리 합계
+          if (isStacked) rows.push(`합계 : ${formatRaw(c.total)}`);
+          return `<strong>${c.label}</strong><br />${rows.join("<br />")}`;
+        },
+      });
+
+      // 접근성: 차트 이름·요약, 포인트 키보드 탐색 (포커스하면 크로스헤어 표시), 데이터 표
+      const chartLabel =
+        ariaLabel ?? (isStacked ? "누적 영역 차트" : "그룹 라인 차트");
+      describeChart(svg, {
+        label: chartLabel,
+        summary: [
+          `지점 ${x.rows.length}개, 시리즈 ${visibleKeys
+            .map(displayOf)
+            .join(", ")}`,
+          summarizeExtent(
+            seriesData.flatMap(({ seriesKey, points }) =>
+              points.map((p) => ({
+                label: `${p.label} ${displayOf(seriesKey)}`,
+                value: p.value,
+              }))
+            ),
+            formatRaw
+          ),
+        ],
+      });
+      bindKeyboardNav(marks, {
+        tooltip,
+        onFocus: (mark) => crosshair.showColumn(columnByRow[mark.ri], mark.el),
+        onBlur: crosshair.hide,
+      });
+      // 누적 모드는 X 위치 내 비율과 합계도 표시
+      renderDataTable(container, svg, dataTable, {
+        caption: chartLabel,
+        columns: [
+          formatAxisTitle(categoryAxis) || "항목",
+          ...visibleKeys.map(displayOf),
+          ...(isStacked ? ["합계"] : []),
+        ],
+        rows: columnByRow.map((c, ri) => [
+          c.label,
+          ...seriesData.map(({ seriesKey, rowPoints }) => {
+            const p = rowPoints[ri];
+            if (p.value === null) return "";
+            return isStacked
+              ? `${formatRaw(p.value)} (${formatShare(p.share)})`
+              : formatOf(seriesKey)(p.value);
+          }),
+          ...(isStacked ? [formatRaw(c.total)] : []),
+        ]),
+      });
+
+      if (transitions.length) {
+        cancelTransition = tween((t) => transitions.forEach((step) => step(t)));
       }
     },
   });
@@ -304,10 +630,27 @@ export function createLineGroupChart(
       chartWrapper.update();
     },
 
+    /**
+     * 범례로 숨긴 시리즈 키
+     * @returns {string[]}
+     */
+    getHidden() {
+      return [...hiddenKeys];
+    },
+
+    /**
+     * 숨길 시리즈 지정 (legendchange 이벤트는 발생하지 않음)
+     * @param {string[]} keys
+     */
+    setHidden(keys) {
+      applyHidden(new Set(keys));
+    },
+
     /**
      * 차트 제거
      */
     destroy() {
+      if (cancelTransition) cancelTransition();
       chartWrapper.destroy();
     },
   };
@@ -1,5 +1,14 @@
 import { createColorScale } from "../core/colorScale.js";
-import { renderLegend } from "../core/Legend.js";
+import { renderLegend, toggleLegendKey } from "../core/Legend.js";
+import { createFormatter } from "../core/format.js";
+import { TAU, polar, arcPath } from "../core/arc.js";
+import { tween } from "../core/transition.js";
+import {
+  describeChart,
+  summarizeExtent,
+  bindKeyboardNav,
+} from "../core/a11y.js";
+import { renderDataTable } from "../core/DataTable.js";
 
 /**
  * @typedef {Object} PieDatum
@@ -7,46 +16,6 @@ import { renderLegend } from "../core/Legend.js";
  * @property {number} value
  */
 
-const TAU = Math.PI * 2;
-
-/**
- * polar 좌표 변환
- */
-const polar = (cx, cy, r, angle) => [
-  cx + Math.cos(angle) * r,
-  cy + Math.sin(angle) * r,
-];
-
-/**
- * 원호 경로 생성
- */
-function arcPath(cx, cy, rOuter, rInner, start, end) {
-  const largeArc = end - start > Math.PI ? 1 : 0;
-  const [sx, sy] = polar(cx, cy, rOuter, start);
-  const [ex, ey] = polar(cx, cy, rOuter, end);
-
-  if (rInner <= 0) {
-    // 파이 차트 (중심에서 시작)
-    return [
-      `M ${cx} ${cy}`,
-      `L ${sx} ${sy}`,
-      `A ${rOuter} ${rOuter} 0 ${largeArc} 1 ${ex} ${ey}`,
-      "Z",
-    ].join(" ");
-  } else {
-    // 도넛 차트
-    const [isx, isy] = polar(cx, cy, rInner, end);
-    const [iex, iey] = polar(cx, cy, rInner, start);
-    return [
-      `M ${sx} ${sy}`,
-      `A ${rOuter} ${rOuter} 0 ${largeArc} 1 ${ex} ${ey}`,
-      `L ${isx} ${isy}`,
-      `A ${rInner} ${rInner} 0 ${largeArc} 0 ${iex} ${iey}`,
-      "Z",
-    ].join(" ");
-  }
-}
-
 /**
  * createPieChart
  * 파이/도넛 차트 생성
@@ -60,8 +29,14 @@ function arcPath(cx, cy, rOuter, rInner, start, end) {
  * @param {Object} [props.legend] - 범례 설정
  * @param {boolean} [props.legend.show=true] - 범례 표시 여부
  * @param {'top' | 'right'} [props.legend.position='top'] - 범례 위치
+ * @param {boolean} [props.legend.toggle=true] - 항목 클릭으로 조각 표시 전환 (Shift+클릭·더블클릭: 하나만 보기)
  * @param {Record<string, string>} [props.colors] - 커스텀 색상 맵
- * @returns {{ update: (newData: PieDatum[]) => void, destroy: () => void }}
+ * @param {import('../core/format').ValueFormat} [props.valueFormat] - 값 포맷 (툴팁)
+ * @param {string | string[]} [props.locale] - 숫자 포맷 로케일 (값·비율 공통)
+ * @param {string[]} [props.hidden] - 처음에 숨길 조각 라벨
+ * @param {string} [props.ariaLabel] - 스크린 리더용 차트 이름 (생략 시 '파이 차트' / '도넛 차트')
+ * @param {boolean | import('../core/DataTable').DataTableOpts} [props.dataTable] - 데이터 대체 표 (true면 스크린 리더 전용, { toggle: true }면 보기 버튼)
+ * @returns {{ update: (newData: PieDatum[]) => void, getHidden: () => string[], setHidden: (labels: string[]) => void, destroy: () => void }}
  */
 export function createPieChart(
   container,
@@ -72,6 +47,11 @@ export function createPieChart(
     innerRadiusRatio = 0,
     legend = { show: true, position: "top" },
     colors,
+    valueFormat,
+    locale,
+    hidden,
+    ariaLabel,
+    dataTable,
   }
 ) {
   // 컨테이너 초기화
@@ -89,6 +69,17 @@ export function createPieChart(
   let resizeObserver = null;
   let currentWidth = width || 640;
 
+  // 범례로 숨긴 조각과 전환 애니메이션 상태
+  let hiddenKeys = new Set(hidden ?? []);
+  let isTransition = false;
+  let prevAngles = new Map();
+  let renderedAngles = new Map();
+  let cancelTransition = null;
+
+  // 값·비율 포맷
+  const formatValue = createFormatter(valueFormat, locale);
+  const formatPercent = createFormatter({ type: "percent", digits: 1 }, locale);
+
   // SVG 래퍼
   const svgWrapper = document.createElement("div");
   svgWrapper.classList.add("pie-chart-box");
@@ -105,8 +96,21 @@ export function createPieChart(
   svg.setAttribute("shape-rendering", "geometricPrecision");
   svgWrapper.appendChild(svg);
 
+  // 숨긴 조각 변경 → 보이는 조각으로 비율을 다시 계산해 이전 각도에서 전환
+  const applyHidden = (next) => {
+    hiddenKeys = next;
+    prevAngles = renderedAngles;
+    isTransition = true;
+    tooltip.style.display = "none";
+    render();
+    isTransition = false;
+  };
+
   // 렌더링 함수
   const render = () => {
+    if (cancelTransition) cancelTransition();
+    cancelTransition = null;
+
     // 유효한 데이터만 필터링
     const validData = currentData
       .map((d) => ({
@@ -116,7 +120,10 @@ export function createPieChart(
       .filter((d) => d.value > 0);
 
     const labels = validData.map((d) => d.label);
-    const total = validData.reduce((acc, d) => acc + d.value, 0);
+    // 범례에서 숨기지 않은 조각만 비율 계산에 사용
+    const total = validData
+      .filter((d) => !hiddenKeys.has(d.label))
+      .reduce((acc, d) => acc + d.value, 0);
 
     // 색상 스케일
     const getColor = createColorScale(labels, colors);
@@ -138,6 +145,18 @@ export function createPieChart(
         seriesLabels,
         getColor,
         position: legend.position || "top",
+        hidden: hiddenKeys,
+        onToggle:
+          legend.toggle === false
+            ? undefined
+            : (key, isolate) => {
+                applyHidden(toggleLegendKey(hiddenKeys, key, labels, isolate));
+                container.dispatchEvent(
+                  new CustomEvent("legendchange", {
+                    detail: { key, hidden: [...hiddenKeys] },
+                  })
+                );
+              },
       });
       container.insertBefore(legendEl, svgWrapper);
     } else {
@@ -146,19 +165,26 @@ export function createPieChart(
       existingLegends.forEach((el) => el.remove());
     }
 
-    // 각도 계산
+    // 각도 계산 (숨긴 조각은 제자리에서 폭 0)
     const slices = [];
+    const nextAngles = new Map();
     if (validData.length > 0 && total > 0) {
       let angle = -Math.PI / 2; // 12시 시작
       validData.forEach((d) => {
-        const fraction = d.value / total;
+        const fraction = hiddenKeys.has(d.label) ? 0 : d.value / total;
         const span = fraction * TAU;
         const start = angle;
         const end = angle + span;
         angle = end;
-        slices.push({ ...d, start, end, fraction });
+        nextAngles.set(d.label, { start, end });
+        // 전환 중에는 닫히는 조각도 그림
+        const prev = isTransition ? prevAngles.get(d.label) : null;
+        if (span > 0 || (prev && prev.end > prev.start)) {
+          slices.push({ ...d, start, end, fraction, prev });
+        }
       });
     }
+    renderedAngles = nextAngles;
 
     // 차트 크기 계산
     const paddingTop = legend?.show ? 20 : 10;
@@ -180,6 +206,34 @@ export function createPieChart(
     svg.setAttribute("viewBox", `0 0 ${currentWidth} ${height}`);
     svg.innerHTML = "";
 
+    // 접근성: 차트 이름·요약, 데이터 표 (비율은 보이는 조각 기준)
+    const shown = slices.filter((s) => s.fraction > 0);
+    const chartLabel = ariaLabel ?? (innerR > 0 ? "도넛 차트" : "파이 차트");
+    describeChart(svg, {
+      label: chartLabel,
+      summary: [
+        `조각 ${shown.length}개, 합계 ${formatValue(total)}`,
+        summarizeExtent(
+          shown.map((s) => ({ label: s.label, value: s.fraction })),
+          formatPercent
+        ),
+      ],
+    });
+    renderDataTable(container, svg, dataTable, {
+      caption: chartLabel,
+      columns: ["항목", "값", "비율"],
+      rows: shown.length
+        ? [
+            ...shown.map((s) => [
+              s.label,
+              formatValue(s.value),
+              formatPercent(s.fraction),
+            ]),
+            ["합계", formatValue(total), formatPercent(1)],
+          ]
+        : [],
+    });
+
     if (slices.length === 0) {
       // 빈 상태: 회색 원
       const emptyCircle = document.createElementNS(
@@ -242,15 +296,16 @@ export function createPieChart(
     defs.appendChild(mask);
     svg.appendChild(defs);
 
-    // 마스크가 적용될 그룹
+    // 마스크가 적용될 그룹 (전환 중에는 스윕 없이 바로 표시)
     const g = document.createElementNS("http://www.w3.org/2000/svg", "g");
-    g.setAttribute("mask", `url(#${maskId})`);
+    if (!isTransition) g.setAttribute("mask", `url(#${maskId})`);
+    const transitions = [];
 
     // 조각 그리기
+    const marks = [];
     slices.forEach((s) => {
       const d = arcPath(cx, cy, radius, innerR, s.start, s.end);
       const color = getColor(s.label);
-      const percent = s.fraction * 100;
 
       const path = document.createElementNS(
         "http://www.w3.org/2000/svg",
@@ -258,17 +313,42 @@ export function createPieChart(
       );
       path.setAttribute("d", d);
       path.setAttribute("fill", color);
+      if (isTransition) {
+        // 이전 각도에서 새 각도로 (새 조각은 시작 각도에서 펼쳐짐)
+        const from = s.prev ?? { start: s.start, end: s.start };
+        transitions.push((t) =>
+          path.setAttribute(
+            "d",
+            arcPath(
+              cx,
+              cy,
+              radius,
+              innerR,
+              from.start + (s.start - from.start) * t,
+              from.end + (s.end - from.end) * t
+            )
+          )
+        );
+      }
       path.classList.add("pie-slice");
 
-      // 툴팁 이벤트
+      // 툴팁 이벤트 (키보드는 보이는 조각만)
+      if (s.fraction > 0) {
+        marks.push({
+          el: path,
+          html: `${s.label}<br />${formatValue(s.value)} (${formatPercent(
+            s.fraction
+          )})`,
+        });
+      }
       path.addEventListener("mouseenter", (e) => {
         const containerRect = container.getBoundingClientRect();
         tooltip.style.display = "block";
         tooltip.style.left = `${e.clientX - containerRect.left}px`;
         tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
-        tooltip.textContent = `${
-          s.label
-        }\n${s.value.toLocaleString()} (${percent.toFixed(1)}%)`;
+        tooltip.textContent = `${s.label}\n${formatValue(
+          s.value
+        )} (${formatPercent(s.fraction)})`;
         tooltip.style.whiteSpace = "pre-line";
       });
 
@@ -293,21 +373,19 @@ export function createPieChart(
         "http://www.w3.org/2000/svg",
         "line"
       );
-      if (innerR <= 0) {
-        // 파이: 중심에서 외곽까지
-        const [x2, y2] = polar(cx, cy, radius, s.start);
-        line.setAttribute("x1", cx);
-        line.setAttribute("y1", cy);
-        line.setAttribute("x2", x2);
-        line.setAttribute("y2", y2);
-      } else {
-        // 도넛: 내부에서 외곽까지
-        const [x1, y1] = polar(cx, cy, innerR, s.start);
-        const [x2, y2] = polar(cx, cy, radius, s.start);
+      // 파이는 중심에서, 도넛은 내부에서 외곽까지
+      const placeLine = (angle) => {
+        const [x1, y1] = innerR <= 0 ? [cx, cy] : polar(cx, cy, innerR, angle);
+        const [x2, y2] = polar(cx, cy, radius, angle);
         line.setAttribute("x1", x1);
         line.setAttribute("y1", y1);
         line.setAttribute("x2", x2);
         line.setAttribute("y2", y2);
+      };
+      placeLine(s.start);
+      if (isTransition) {
+        const from = s.prev?.start ?? s.start;
+        transitions.push((t) => placeLine(from + (s.start - from) * t));
       }
       line.classList.add("pie-separator-radial");
       g.appendChild(line);
@@ -338,6 +416,11 @@ export function createPieChart(
     }
 
     svg.appendChild(g);
+    bindKeyboardNav([marks], { tooltip });
+
+    if (transitions.length) {
+      cancelTransition = tween((t) => transitions.forEach((step) => step(t)));
+    }
   };
 
   // ResizeObserver (반응형)
@@ -367,10 +450,27 @@ export function createPieChart(
       render();
     },
 
+    /**
+     * 범례로 숨긴 조각 라벨
+     * @returns {string[]}
+     */
+    getHidden() {
+      return [...hiddenKeys];
+    },
+
+    /**
+     * 숨길 조각 지정 (legendchange 이벤트는 발생하지 않음)
+     * @param {string[]} labels
+     */
+    setHidden(labels) {
+      applyHidden(new Set(labels));
+    },
+
     /**
      * 차트 제거
      */
     destroy() {
+      if (cancelTransition) cancelTransition();
       if (resizeObserver) {
         resizeObserver.disconnect();
       }
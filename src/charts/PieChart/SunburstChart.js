@@ -0,0 +1,469 @@
+import { createColorScale, interpolateColors } from "../core/colorScale.js";
+import { renderLegend } from "../core/Legend.js";
+import { createFormatter } from "../core/format.js";
+import { TAU, arcPath } from "../core/arc.js";
+import { describeChart, bindKeyboardNav } from "../core/a11y.js";
+import { renderDataTable } from "../core/DataTable.js";
+
+/**
+ * 계층 데이터 노드
+ * value를 생략하면 자식 값의 합, 지정한 value가 자식 합보다 크면 나머지는 빈 영역
+ *
+ * @typedef {Object} SunburstNode
+ * @property {string} label
+ * @property {number} [value]
+ * @property {SunburstNode[]} [children]
+ */
+
+/**
+ * 계층 정규화: 값 계산, 경로·색상 부여, 0 이하 노드 제외
+ */
+function buildTree(nodes, parent, depth) {
+  return (nodes ?? [])
+    .map((n) => {
+      const node = {
+        label: n.label,
+        depth,
+        parent,
+        path: parent ? [...parent.path, n.label] : [n.label],
+      };
+      node.children = buildTree(n.children, node, depth + 1);
+      const childSum = node.children.reduce((acc, c) => acc + c.value, 0);
+      node.value = Number.isFinite(n.value)
+        ? Math.max(0, n.value, childSum)
+        : childSum;
+      return node;
+    })
+    .filter((n) => n.value > 0);
+}
+
+/** 트리 높이 (자식이 없으면 0) */
+const heightOf = (node) =>
+  node.children.length ? 1 + Math.max(...node.children.map(heightOf)) : 0;
+
+/**
+ * createSunburstChart
+ * 계층 데이터를 동심원 고리로 표시하는 선버스트(다중 도넛) 차트 생성
+ * - 자식 조각은 부모 조각의 각도 안에서 값 비율로 나뉨
+ * - 조각을 클릭하면 해당 하위 트리로 확대, 가운데를 클릭하면 한 단계 위로
+ * - 키보드: ←→ 같은 고리, ↑↓ 안쪽/바깥 고리(가장 안쪽에서 ↑는 가운데), Enter 확대·축소
+ *
+ * @param {HTMLElement} container - 차트를 그릴 컨테이너
+ * @param {Object} props
+ * @param {SunburstNode[]} props.data - 최상위 노드 배열 (첫 번째 고리)
+ * @param {number} [props.width] - 차트 너비 (없으면 반응형)
+ * @param {number} [props.height=420] - 차트 높이
+ * @param {number} [props.innerRadiusRatio=0.3] - 가운데 구멍 반지름 비율 (현재 위치·합계 표시)
+ * @param {'shade' | 'inherit'} [props.colorMode='shade'] - 하위 조각 색상 (부모보다 옅게 / 부모와 같게)
+ * @param {string} [props.rootLabel='전체'] - 최상위 이름 (가운데·툴팁 경로)
+ * @param {Object} [props.legend] - 범례 설정 (최상위 노드)
+ * @param {boolean} [props.legend.show=true] - 범례 표시 여부
+ * @param {'top' | 'right'} [props.legend.position='top'] - 범례 위치
+ * @param {Record<string, string>} [props.colors] - 최상위 노드별 커스텀 색상 (#rrggbb)
+ * @param {import('../core/format').ValueFormat} [props.valueFormat] - 값 포맷 (툴팁·가운데)
+ * @param {string | string[]} [props.locale] - 숫자 포맷 로케일 (값·비율 공통)
+ * @param {string} [props.ariaLabel] - 스크린 리더용 차트 이름 (생략 시 '선버스트 차트')
+ * @param {boolean | import('../core/DataTable').DataTableOpts} [props.dataTable] - 데이터 대체 표 (true면 스크린 리더 전용, { toggle: true }면 보기 버튼)
+ * @returns {{ update: (newData: SunburstNode[]) => void, destroy: () => void }}
+ */
+export function createSunburstChart(
+  container,
+  {
+    data,
+    width,
+    height = 420,
+    innerRadiusRatio = 0.3,
+    colorMode = "shade",
+    rootLabel = "전체",
+    legend = { show: true, position: "top" },
+    colors,
+    valueFormat,
+    locale,
+    ariaLabel,
+    dataTable,
+  }
+) {
+  // 컨테이너 초기화
+  container.innerHTML = "";
+  container.style.position = "relative";
+  container.classList.add("chart-wrapper");
+
+  // 툴팁 생성
+  const tooltip = document.createElement("div");
+  tooltip.className = "chart-tooltip";
+  tooltip.style.display = "none";
+  container.appendChild(tooltip);
+
+  let currentData = data;
+  let resizeObserver = null;
+  let currentWidth = width || 640;
+  // 확대 중인 노드 경로 (빈 배열 = 최상위)
+  let focusPath = [];
+
+  // 값·비율 포맷
+  const formatValue = createFormatter(valueFormat, locale);
+  const formatPercent = createFormatter({ type: "percent", digits: 1 }, locale);
+
+  // SVG 래퍼
+  const svgWrapper = document.createElement("div");
+  svgWrapper.classList.add("pie-chart-box");
+  if (width) {
+    svgWrapper.style.width = `${width}px`;
+  }
+  container.appendChild(svgWrapper);
+
+  // SVG 생성
+  const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+  svg.style.maxWidth = "100%";
+  svg.style.height = "auto";
+  svg.style.display = "block";
+  svg.setAttribute("shape-rendering", "geometricPrecision");
+  svgWrapper.appendChild(svg);
+
+  // 렌더링 함수
+  const render = () => {
+    // 계층 정규화 (가상 루트 아래에 최상위 노드)
+    const root = { label: rootLabel, depth: 0, parent: null, path: [] };
+    root.children = buildTree(currentData, root, 1);
+    root.value = root.children.reduce((acc, c) => acc + c.value, 0);
+
+    // 색상: 최상위는 팔레트, 하위는 부모 색 상속 또는 옅게
+    const topLabels = root.children.map((n) => n.label);
+    const getColor = createColorScale(topLabels, colors);
+    const paint = (node, base) => {
+      node.color = base;
+      const n = node.children.length;
+      node.children.forEach((c, i) => {
+        const shade =
+          colorMode === "inherit"
+            ? base
+            : interpolateColors([base, "#ffffff"])(0.18 + (0.32 * i) / n);
+        paint(c, shade);
+      });
+    };
+    root.children.forEach((n) => paint(n, getColor(n.label)));
+
+    // 확대 노드 찾기 (데이터 변경으로 없어졌으면 최상위)
+    let focus = root;
+    for (const label of focusPath) {
+      const next = focus.children.find((c) => c.label === label);
+      if (!next) {
+        focusPath = [];
+        focus = root;
+        break;
+      }
+      focus = next;
+    }
+
+    // 범례 렌더링 (svgWrapper 앞에 삽입)
+    const existingLegends = container.querySelectorAll(".chart-legend");
+    existingLegends.forEach((el) => el.remove());
+    if (legend?.show && topLabels.length) {
+      const legendEl = renderLegend(null, {
+        seriesOrder: topLabels,
+        seriesLabels: Object.fromEntries(topLabels.map((k) => [k, k])),
+        getColor,
+        position: legend.position || "top",
+      });
+      container.insertBefore(legendEl, svgWrapper);
+    }
+
+    // 차트 크기 계산
+    const paddingTop = legend?.show ? 20 : 10;
+    const padding = 10;
+
+    const availableWidth = currentWidth - padding * 2;
+    const availableHeight = height - paddingTop - padding;
+    const radius = Math.min(availableWidth, availableHeight) / 2;
+
+    const cx = padding + availableWidth / 2;
+    const cy = paddingTop + availableHeight / 2;
+
+    const ratio = Math.max(0, Math.min(innerRadiusRatio, 0.9));
+    const holeR = radius * ratio;
+    const rings = Math.max(1, heightOf(focus));
+    const ringWidth = (radius - holeR) / rings;
+
+    // SVG 속성 설정
+    svg.setAttribute("width", currentWidth);
+    svg.setAttribute("height", height);
+    svg.setAttribute("viewBox", `0 0 ${currentWidth} ${height}`);
+    svg.innerHTML = "";
+
+    // 접근성: 차트 이름·요약 (현재 확대한 위치 기준)
+    const chartLabel = ariaLabel ?? "선버스트 차트";
+    describeChart(svg, {
+      label: chartLabel,
+      summary: [
+        `${
+          focus === root ? rootLabel : focus.path.join(" › ")
+        } 합계 ${formatValue(focus.value)}`,
+        `하위 항목 ${focus.children.length}개, ${heightOf(focus)}단계`,
+      ],
+    });
+
+    // 데이터 표: 확대 상태와 무관하게 전체 계층을 경로 순서대로
+    const tableRows = [];
+    const walk = (node) =>
+      node.children.forEach((c) => {
+        tableRows.push([
+          c.path.join(" › "),
+          formatValue(c.value),
+          c.parent === root ? "" : formatPercent(c.value / c.parent.value),
+          formatPercent(root.value ? c.value / root.value : 0),
+        ]);
+        walk(c);
+      });
+    walk(root);
+    renderDataTable(container, svg, dataTable, {
+      caption: chartLabel,
+      columns: ["경로", "값", "상위 대비", `${rootLabel} 대비`],
+      rows: tableRows,
+    });
+
+    if (!focus.children.length) {
+      // 빈 상태: 회색 원
+      const emptyCircle = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "circle"
+      );
+      emptyCircle.setAttribute("cx", cx);
+      emptyCircle.setAttribute("cy", cy);
+      emptyCircle.setAttribute("r", radius);
+      emptyCircle.classList.add("pie-empty-ring");
+      svg.appendChild(emptyCircle);
+      return;
+    }
+
+    // 조각 배치: 자식은 부모 각도 안에서 값 비율로 분할
+    const segments = [];
+    const layout = (node, start, end, ring) => {
+      let angle = start;
+      node.children.forEach((c) => {
+        const span = (c.value / node.value) * (end - start);
+        segments.push({ node: c, start: angle, end: angle + span, ring });
+        layout(c, angle, angle + span, ring + 1);
+        angle += span;
+      });
+    };
+    layout(focus, -Math.PI / 2, -Math.PI / 2 + TAU, 0);
+
+    // 유니크 마스크 ID 생성
+    const maskId = `sunburst-mask-${Math.random().toString(36).substr(2, 9)}`;
+
+    // 마스크 정의 (파이 차트와 같은 시계방향 스윕)
+    const defs = document.createElementNS("http://www.w3.org/2000/svg", "defs");
+    const mask = document.createElementNS("http://www.w3.org/2000/svg", "mask");
+    mask.setAttribute("id", maskId);
+    mask.setAttribute("maskUnits", "userSpaceOnUse");
+
+    const maskRect = document.createElementNS(
+      "http://www.w3.org/2000/svg",
+      "rect"
+    );
+    maskRect.setAttribute("x", "0");
+    maskRect.setAttribute("y", "0");
+    maskRect.setAttribute("width", currentWidth);
+    maskRect.setAttribute("height", height);
+    maskRect.setAttribute("fill", "black");
+    mask.appendChild(maskRect);
+
+    const sweepCircle = document.createElementNS(
+      "http://www.w3.org/2000/svg",
+      "circle"
+    );
+    sweepCircle.setAttribute("cx", cx);
+    sweepCircle.setAttribute("cy", cy);
+    sweepCircle.setAttribute("r", radius);
+    sweepCircle.setAttribute("fill", "none");
+    sweepCircle.setAttribute("stroke", "#fff");
+    sweepCircle.setAttribute("stroke-width", radius * 2);
+
+    const circumference = Math.round(TAU * radius);
+    sweepCircle.setAttribute("stroke-dasharray", circumference);
+    sweepCircle.setAttribute("stroke-dashoffset", circumference);
+    sweepCircle.setAttribute("stroke-linecap", "butt");
+    sweepCircle.classList.add("pie-mask-sweep");
+
+    sweepCircle.style.setProperty("--r", `${radius}px`);
+    sweepCircle.style.setProperty("--circ", `${circumference}px`);
+    sweepCircle.style.setProperty("--cx", `${cx}px`);
+    sweepCircle.style.setProperty("--cy", `${cy}px`);
+
+    mask.appendChild(sweepCircle);
+    defs.appendChild(mask);
+    svg.appendChild(defs);
+
+    // 마스크가 적용될 그룹
+    const g = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    g.setAttribute("mask", `url(#${maskId})`);
+
+    // 확대·축소로 다시 그린 뒤에도 키보드 포커스 유지 (첫 조각으로)
+    const zoomTo = (nextPath) => {
+      const hadFocus = svg.contains(document.activeElement);
+      tooltip.style.display = "none";
+      focusPath = nextPath;
+      render();
+      if (hadFocus) svg.querySelector(".sunburst-slice.chart-mark")?.focus();
+    };
+
+    // 조각 그리기 (키보드 탐색용 고리별 배열)
+    const marks = [];
+    segments.forEach((s) => {
+      const { node } = s;
+      const rInner = holeR + s.ring * ringWidth;
+      const rOuter = rInner + ringWidth;
+
+      const path = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "path"
+      );
+      path.setAttribute(
+        "d",
+        arcPath(cx, cy, rOuter, Math.max(rInner, 0), s.start, s.end)
+      );
+      path.setAttribute("fill", node.color);
+      path.classList.add("pie-slice", "sunburst-slice");
+      if (node.children.length) path.classList.add("sunburst-slice--branch");
+
+      // 툴팁: 전체 경로와 부모·전체 대비 비율
+      const parent = node.parent;
+      const rows = [formatValue(node.value)];
+      if (parent !== root) {
+        rows.push(
+          `${parent.label} 대비 : ${formatPercent(node.value / parent.value)}`
+        );
+      }
+      rows.push(
+        `${rootLabel} 대비 : ${formatPercent(node.value / root.value)}`
+      );
+      const html = `<strong>${node.path.join(" › ")}</strong><br />${rows.join(
+        "<br />"
+      )}`;
+      (marks[s.ring + 1] ??= []).push({ el: path, html });
+
+      path.addEventListener("mouseenter", (e) => {
+        const containerRect = container.getBoundingClientRect();
+        tooltip.style.display = "block";
+        tooltip.style.left = `${e.clientX - containerRect.left}px`;
+        tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
+        tooltip.innerHTML = html;
+      });
+
+      path.addEventListener("mousemove", (e) => {
+        const containerRect = container.getBoundingClientRect();
+        tooltip.style.left = `${e.clientX - containerRect.left}px`;
+        tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
+      });
+
+      path.addEventListener("mouseleave", () => {
+        tooltip.style.display = "none";
+      });
+
+      // 클릭: 하위 트리로 확대
+      if (node.children.length) {
+        path.addEventListener("click", () => zoomTo(node.path));
+      }
+
+      g.appendChild(path);
+    });
+
+    svg.appendChild(g);
+
+    // 가운데: 현재 위치와 합계 (클릭하면 한 단계 위로)
+    const center = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    center.classList.add("sunburst-center");
+    if (focus !== root) center.classList.add("sunburst-center--zoomed");
+
+    const hole = document.createElementNS(
+      "http://www.w3.org/2000/svg",
+      "circle"
+    );
+    hole.setAttribute("cx", cx);
+    hole.setAttribute("cy", cy);
+    hole.setAttribute("r", Math.max(holeR - 2, 0));
+    hole.setAttribute("fill", focus === root ? "#fff" : focus.color);
+    center.appendChild(hole);
+
+    if (holeR > 24) {
+      const title = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "text"
+      );
+      title.setAttribute("x", cx);
+      title.setAttribute("y", cy - 4);
+      title.setAttribute("text-anchor", "middle");
+      title.setAttribute("font-size", 13);
+      title.setAttribute("font-weight", "bold");
+      title.setAttribute("fill", "#333");
+      title.textContent = focus.label;
+      center.appendChild(title);
+
+      const total = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "text"
+      );
+      total.setAttribute("x", cx);
+      total.setAttribute("y", cy + 14);
+      total.setAttribute("text-anchor", "middle");
+      total.setAttribute("font-size", 12);
+      total.setAttribute("fill", "#555");
+      total.textContent = formatValue(focus.value);
+      center.appendChild(total);
+    }
+
+    if (focus !== root) {
+      center.addEventListener("click", () => zoomTo(focusPath.slice(0, -1)));
+      // 키보드: 가장 안쪽 고리에서 ↑로 이동
+      marks[0] = [
+        {
+          el: center,
+          html: `<strong>${focus.path.join(" › ")}</strong><br />${formatValue(
+            focus.value
+          )}<br />상위 단계로 : Enter`,
+        },
+      ];
+    }
+
+    svg.appendChild(center);
+    bindKeyboardNav(marks.slice(focus === root ? 1 : 0), { tooltip });
+  };
+
+  // ResizeObserver (반응형)
+  if (!width) {
+    resizeObserver = new ResizeObserver((entries) => {
+      for (const entry of entries) {
+        const newWidth = Math.max(entry.contentRect.width, 320);
+        if (newWidth !== currentWidth) {
+          currentWidth = newWidth;
+          render();
+        }
+      }
+    });
+    resizeObserver.observe(svgWrapper);
+  }
+
+  // 초기 렌더링
+  render();
+
+  return {
+    /**
+     * 데이터 업데이트 (확대 중인 노드가 그대로 있으면 유지)
+     * @param {SunburstNode[]} newData
+     */
+    update(newData) {
+      currentData = newData;
+      render();
+    },
+
+    /**
+     * 차트 제거
+     */
+    destroy() {
+      if (resizeObserver) {
+        resizeObserver.disconnect();
+      }
+      container.innerHTML = "";
+    },
+  };
+}
@@ -0,0 +1,357 @@
+import { createChartWrapper } from "../core/ChartWrapper.js";
+import { makeScale } from "../core/scales.js";
+import { resolveValueAxis } from "../core/ticks.js";
+import { renderAxisLinear } from "../core/AxisLinear.js";
+import { formatAxisTitle } from "../core/AxisTitle.js";
+import { createFormatter, resolveValueFormat } from "../core/format.js";
+import { renderLegend } from "../core/Legend.js";
+import { createColorScale } from "../core/colorScale.js";
+import { isMissing } from "../core/curves.js";
+import { describeChart, bindKeyboardNav } from "../core/a11y.js";
+import { renderDataTable } from "../core/DataTable.js";
+
+/**
+ * @typedef {Object} ScatterDatum
+ * @property {number} x - X 값
+ * @property {number} y - Y 값
+ * @property {number} [size] - 버블 크기 값 (면적에 비례)
+ * @property {string} [group] - 그룹 (색상·범례)
+ * @property {string} [label] - 점 이름 (툴팁 제목)
+ */
+
+/**
+ * @typedef {Object} ValueAxisOpts
+ * @property {'linear' | 'log' | 'symlog'} [type] - 축 종류 (log는 0 이하 값을 최소값으로 고정)
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {import('../core/types').YTicks} [ticks]
+ * @property {(v: number) => string | number} [formatTick]
+ * @property {string} [title] - 축 제목
+ * @property {string} [unit] - 단위 (제목 뒤 괄호로 표시)
+ */
+
+/**
+ * @typedef {Object} LegendOpts
+ * @property {boolean} [show]
+ * @property {'top' | 'right'} [position]
+ */
+
+/**
+ * createScatterChart
+ * 산점도 / 버블 차트 생성
+ *
+ * @param {HTMLElement} container - 차트를 그릴 컨테이너
+ * @param {Object} props
+ * @param {ScatterDatum[]} props.data - 차트 데이터
+ * @param {number} [props.width] - 차트 너비 (고정 너비, 없으면 반응형)
+ * @param {number} [props.height=360] - 차트 높이
+ * @param {ValueAxisOpts} [props.xAxis] - X축 설정
+ * @param {ValueAxisOpts} [props.yAxis] - Y축 설정
+ * @param {string} [props.color='#4f83cc'] - 점 색상 (group이 없을 때)
+ * @param {Record<string, string>} [props.colors] - 그룹별 색상
+ * @param {string[]} [props.groupOrder] - 그룹 순서 (범례·색상 순서)
+ * @param {number} [props.radius=5] - 점 반지름 (size가 없을 때)
+ * @param {number} [props.maxRadius=24] - 가장 큰 버블의 반지름
+ * @param {import('../core/format').ValueFormat} [props.valueFormat] - 값 포맷 (눈금·툴팁 공통)
+ * @param {import('../core/format').ValueFormat} [props.sizeFormat] - 버블 크기 포맷 (툴팁)
+ * @param {string} [props.sizeLabel='크기'] - 툴팁의 버블 크기 항목 이름
+ * @param {string | string[]} [props.locale] - 숫자 포맷 로케일
+ * @param {Partial<import('../core/types').Padding>} [props.framePadding] - 프레임 패딩
+ * @param {LegendOpts} [props.legend] - 범례 설정 (group이 있을 때만 표시)
+ * @param {string} [props.ariaLabel] - 스크린 리더용 차트 이름 (생략 시 '산점도', 버블이면 '버블 차트')
+ * @param {boolean | import('../core/DataTable').DataTableOpts} [props.dataTable] - 데이터 대체 표 (true면 스크린 리더 전용, { toggle: true }면 보기 버튼)
+ * @returns {{ update: (newData: ScatterDatum[]) => void, destroy: () => void }}
+ */
+export function createScatterChart(
+  container,
+  {
+    data,
+    width,
+    height = 360,
+    xAxis,
+    yAxis,
+    color = "#4f83cc",
+    colors,
+    groupOrder,
+    radius = 5,
+    maxRadius = 24,
+    valueFormat,
+    sizeFormat,
+    sizeLabel = "크기",
+    locale,
+    framePadding,
+    legend = { show: true, position: "top" },
+    ariaLabel,
+    dataTable,
+  }
+) {
+  // 컨테이너 초기화
+  container.innerHTML = "";
+  container.style.position = "relative";
+  container.classList.add("chart-wrapper");
+
+  // 툴팁 생성
+  const tooltip = document.createElement("div");
+  tooltip.className = "chart-tooltip";
+  tooltip.style.cssText =
+    "display: none; position: absolute; pointer-events: none;";
+  container.appendChild(tooltip);
+
+  let currentData = data;
+
+  // 축별 눈금·툴팁 공통 값 포맷
+  const xFormat = resolveValueFormat(xAxis, valueFormat, locale);
+  const yFormat = resolveValueFormat(yAxis, valueFormat, locale);
+  const formatSize = createFormatter(sizeFormat ?? valueFormat, locale);
+
+  // 차트 래퍼 생성
+  const chartWrapper = createChartWrapper(container, {
+    width,
+    height,
+    framePadding,
+    render: ({ innerWidth, innerHeight, svg, g, growPadding }) => {
+      // 기존 내용 제거
+      g.innerHTML = "";
+
+      // x / y가 없는 점은 제외
+      const points = currentData.filter(
+        (d) => !isMissing(d.x) && !isMissing(d.y)
+      );
+
+      // 그룹 (없으면 단일 색상, 범례 생략)
+      const groups =
+        groupOrder ??
+        Array.from(
+          new Set(points.map((d) => d.group).filter((k) => k != null))
+        );
+      const colorOf = createColorScale(groups, colors);
+      const fillOf = (d) => (d.group != null ? colorOf(d.group) : color);
+
+      // 범례 렌더링
+      const existingLegends = container.querySelectorAll(".chart-legend");
+      existingLegends.forEach((el) => el.remove());
+      if (legend?.show && groups.length) {
+        const legendEl = renderLegend(null, {
+          seriesOrder: groups,
+          seriesLabels: Object.fromEntries(groups.map((k) => [k, k])),
+          getColor: colorOf,
+          position: legend.position ?? "top",
+        });
+        // 툴팁 다음, SVG 래퍼 앞에 삽입
+        const svgWrapper = container.querySelector("div:not(.chart-tooltip)");
+        if (svgWrapper) {
+          container.insertBefore(legendEl, svgWrapper);
+        } else {
+          container.appendChild(legendEl);
+        }
+      }
+
+      // 축 도메인 (0을 포함하지 않고 데이터 범위를 보기 좋게 확장)
+      const resolveAxis = (values, opts, rangeStart, rangeEnd) => {
+        const dataMin = values.length ? Math.min(...values) : 0;
+        const dataMax = values.length ? Math.max(...values) : 0;
+
+        // min/max/ticks 생략 시 보기 좋은 경계와 눈금으로 자동 확장
+        const { min, max, ticks } = resolveValueAxis(
+          dataMin,
+          dataMax,
+          opts,
+          values
+        );
+        const scale = makeScale(opts?.type, min, max, rangeStart, rangeEnd);
+        return { min, max, ticks, scale };
+      };
+      const xs = resolveAxis(
+        points.map((d) => d.x),
+        xAxis,
+        0,
+        innerWidth
+      );
+      const ys = resolveAxis(
+        points.map((d) => d.y),
+        yAxis,
+        innerHeight,
+        0
+      );
+
+      // 버블 반지름: 면적이 size에 비례하도록 제곱근 스케일
+      const sizes = points
+        .map((d) => d.size)
+        .filter((s) => Number.isFinite(s) && s > 0);
+      const maxSize = sizes.length ? Math.max(...sizes) : 0;
+      const radiusOf = (d) =>
+        maxSize && Number.isFinite(d.size)
+          ? Math.sqrt(Math.max(0, d.size) / maxSize) * maxRadius
+          : radius;
+
+      // 1) Y축
+      const axisYG = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "g"
+      );
+      const { size: yAxisSize } = renderAxisLinear(axisYG, {
+        ticks: ys.ticks,
+        scale: ys.scale,
+        length: innerWidth,
+        side: "left",
+        grid: true,
+        formatTick: yFormat.tick,
+        type: yAxis?.type,
+        zeroLine: ys.min < 0 && ys.max > 0,
+        title: formatAxisTitle(yAxis),
+        extent: innerHeight,
+      });
+      g.appendChild(axisYG);
+      growPadding("left", yAxisSize + 4);
+
+      // 2) X축
+      const axisXG = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "g"
+      );
+      const { size: xAxisSize } = renderAxisLinear(axisXG, {
+        ticks: xs.ticks,
+        scale: xs.scale,
+        length: innerHeight,
+        side: "bottom",
+        grid: true,
+        formatTick: xFormat.tick,
+        type: xAxis?.type,
+        zeroLine: xs.min < 0 && xs.max > 0,
+        title: formatAxisTitle(xAxis),
+        extent: innerWidth,
+      });
+      g.appendChild(axisXG);
+      growPadding("bottom", xAxisSize + 4);
+
+      // 3) 점 (큰 버블을 먼저 그려 작은 점이 가려지지 않도록)
+      const ordered = points
+        .map((d, i) => ({ d, i, r: radiusOf(d) }))
+        .sort((a, b) => b.r - a.r || a.i - b.i);
+
+      // 키보드 탐색: 그룹별로 X 순서 (그룹이 없으면 한 줄)
+      // groupOrder에 없거나 그룹이 없는 점은 마지막 줄에 모음
+      const marks = [...groups, null].map(() => []);
+      const groupIndex = (d) => {
+        const index = groups.indexOf(d.group);
+        return index === -1 ? groups.length : index;
+      };
+
+      ordered.forEach(({ d, i, r }) => {
+        const circle = document.createElementNS(
+          "http://www.w3.org/2000/svg",
+          "circle"
+        );
+        circle.setAttribute("cx", xs.scale(d.x));
+        circle.setAttribute("cy", ys.scale(d.y));
+        circle.setAttribute("r", r);
+        circle.setAttribute("fill", fillOf(d));
+        circle.classList.add("scatter-dot");
+        if (maxSize) circle.classList.add("scatter-dot--bubble");
+        circle.style.animationDelay = `${Math.min(i * 15, 600)}ms`;
+
+        // 툴팁 이벤트
+        const title = d.label ?? d.group;
+        const rows = [
+          `${formatAxisTitle(xAxis) || "x"} : ${xFormat.value(d.x)}`,
+          `${formatAxisTitle(yAxis) || "y"} : ${yFormat.value(d.y)}`,
+        ];
+        if (Number.isFinite(d.size)) {
+          rows.push(`${sizeLabel} : ${formatSize(d.size)}`);
+        }
+        const html = `${
+          title != null ? `<strong>${title}</strong><br />` : ""
+        }${rows.join("<br />")}`;
+        marks[groupIndex(d)].push({ el: circle, html, x: d.x, i });
+
+        circle.addEventListener("mouseenter", (e) => {
+          const containerRect = container.getBoundingClientRect();
+          tooltip.style.display = "block";
+          tooltip.style.left = `${e.clientX - containerRect.left}px`;
+          tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
+          tooltip.innerHTML = html;
+        });
+
+        circle.addEventListener("mousemove", (e) => {
+          const containerRect = container.getBoundingClientRect();
+          tooltip.style.left = `${e.clientX - containerRect.left}px`;
+          tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
+        });
+
+        circle.addEventListener("mouseleave", () => {
+          tooltip.style.display = "none";
+        });
+
+        g.appendChild(circle);
+      });
+
+      // 접근성: 차트 이름·요약, 점 키보드 탐색
+      const extent = (values, format) =>
+        values.length
+          ? `${format(Math.min(...values))} ~ ${format(Math.max(...values))}`
+          : "";
+      const xRange = extent(
+        points.map((d) => d.x),
+        xFormat.value
+      );
+      const yRange = extent(
+        points.map((d) => d.y),
+        yFormat.value
+      );
+      const chartLabel = ariaLabel ?? (maxSize ? "버블 차트" : "산점도");
+      describeChart(svg, {
+        label: chartLabel,
+        summary: [
+          `점 ${points.length}개${
+            groups.length ? `, 그룹 ${groups.length}개` : ""
+          }`,
+          xRange && `${formatAxisTitle(xAxis) || "x"} 범위 ${xRange}`,
+          yRange && `${formatAxisTitle(yAxis) || "y"} 범위 ${yRange}`,
+        ],
+      });
+      bindKeyboardNav(
+        marks.map((row) => row.sort((a, b) => a.x - b.x || a.i - b.i)),
+        { tooltip }
+      );
+
+      // 데이터 표: 점마다 한 행 (이름이 없으면 순번)
+      renderDataTable(container, svg, dataTable, {
+        caption: chartLabel,
+        columns: [
+          "이름",
+          ...(groups.length ? ["그룹"] : []),
+          formatAxisTitle(xAxis) || "x",
+          formatAxisTitle(yAxis) || "y",
+          ...(maxSize ? [sizeLabel] : []),
+        ],
+        rows: points.map((d, i) => [
+          d.label ?? String(i + 1),
+          ...(groups.length ? [d.group ?? ""] : []),
+          xFormat.value(d.x),
+          yFormat.value(d.y),
+          ...(maxSize
+            ? [Number.isFinite(d.size) ? formatSize(d.size) : ""]
+            : []),
+        ]),
+      });
+    },
+  });
+
+  return {
+    /**
+     * 데이터 업데이트
+     * @param {ScatterDatum[]} newData
+     */
+    update(newData) {
+      currentData = newData;
+      chartWrapper.update();
+    },
+
+    /**
+     * 차트 제거
+     */
+    destroy() {
+      chartWrapper.destroy();
+    },
+  };
+}
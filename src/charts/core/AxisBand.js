@@ -1,3 +1,20 @@
+import { measureText, truncateText } from "./text.js";
+import { renderAxisTitle } from "./AxisTitle.js";
+
+/**
+ * 라벨 배치 전략
+ * - 'auto'      겹치면 회전 → 그래도 좁으면 N개마다 표시 (긴 라벨은 말줄임)
+ * - 'rotate'    항상 회전
+ * - 'thin'      겹치지 않도록 N개마다 하나씩 표시
+ * - 'truncate'  밴드 간격에 맞게 말줄임 (전체 텍스트는 <title>)
+ * - 'none'      그대로 표시
+ *
+ * @typedef {'auto' | 'rotate' | 'thin' | 'truncate' | 'none'} LabelLayout
+ */
+
+/** 회전 라벨의 최대 길이 (넘으면 말줄임) */
+const MAX_ROTATED_WIDTH = 120;
+
 /**
  * AxisBand
  * 밴드 축 (X축 또는 카테고리 축) 렌더링
@@ -8,9 +25,15 @@
  * @param {(lab: string) => number} props.getPos - 라벨 밴드의 시작 좌표 반환 함수
  * @param {number} props.bandWidth - 각 밴드의 픽셀 너비
  * @param {'bottom' | 'left'} props.side - 축 위치
- * @param {boolean} [props.rotate=false] - bottom일 때만 의미, true면 회전
+ * @param {boolean} [props.rotate=false] - bottom일 때만 의미, true면 -40° 회전 (layout: 'rotate')
+ * @param {LabelLayout} [props.layout='auto'] - 라벨 겹침 처리 전략
+ * @param {number} [props.angle=-45] - 회전 각도 (layout이 'auto' / 'rotate'일 때)
+ * @param {number} [props.maxLabelWidth] - 라벨 최대 너비 (넘으면 말줄임)
  * @param {number} [props.fontSize=12] - 라벨 폰트 크기
  * @param {number} [props.tickPadding=20] - bottom일 때 라벨의 세로 오프셋
+ * @param {string} [props.title] - 축 제목 (left는 세로로 회전)
+ * @param {number} [props.extent] - 축 방향 길이 (제목 중앙 정렬용, bottom이면 innerWidth, left면 innerHeight)
+ * @returns {{ size: number }} 축 바깥쪽으로 라벨·제목이 차지하는 크기 (bottom은 높이, left는 너비)
  */
 export function renderAxisBand(
   container,
@@ -20,31 +43,89 @@ export function renderAxisBand(
     bandWidth,
     side,
     rotate = false,
+    layout = "auto",
+    angle = -45,
+    maxLabelWidth,
     fontSize = 12,
     tickPadding = 20,
+    title,
+    extent,
   }
 ) {
   // 기존 내용 제거
   container.innerHTML = "";
 
   const isBottom = side === "bottom";
+  const strategy = rotate ? "rotate" : layout;
+  const rotateAngle = rotate ? -40 : angle;
+  const lineHeight = fontSize * 1.2;
+
+  // 라벨 중심 간격 (밴드 + 간격)
+  const step =
+    labels.length > 1
+      ? Math.abs(getPos(labels[1]) - getPos(labels[0]))
+      : bandWidth;
+
+  const widths = labels.map((lab) => measureText(lab, fontSize));
+  const maxWidth = widths.length ? Math.max(...widths) : 0;
+
+  // 배치 결정
+  let isRotated = false;
+  let every = 1;
+  let limit = maxLabelWidth ?? Infinity;
+
+  if (isBottom) {
+    const overlaps = maxWidth > step - 4;
+    if (strategy === "rotate") {
+      isRotated = true;
+    } else if (strategy === "thin" && overlaps) {
+      every = Math.ceil((maxWidth + 8) / step);
+    } else if (strategy === "truncate") {
+      limit = Math.min(limit, Math.max(step - 4, fontSize));
+    } else if (strategy === "auto" && overlaps) {
+      isRotated = true;
+      limit = Math.min(limit, MAX_ROTATED_WIDTH);
+      // 회전해도 줄 높이보다 간격이 좁으면 N개마다 표시
+      const slot =
+        lineHeight / Math.sin((Math.abs(rotateAngle) * Math.PI) / 180);
+      if (step < slot) every = Math.ceil(slot / step);
+    }
+  } else {
+    if ((strategy === "auto" || strategy === "thin") && step < lineHeight) {
+      every = Math.ceil(lineHeight / step);
+    }
+    if (strategy === "truncate" && maxLabelWidth == null) limit = 120;
+  }
+
+  let size = 0;
+
+  labels.forEach((lab, i) => {
+    if (i % every !== 0) return;
 
-  labels.forEach((lab) => {
     const center = getPos(lab) + bandWidth / 2;
     const text = document.createElementNS("http://www.w3.org/2000/svg", "text");
+    const display = truncateText(lab, limit, fontSize);
+    const width = Math.min(widths[i], limit);
 
     if (isBottom) {
       text.setAttribute("x", center);
       text.setAttribute("y", tickPadding);
       text.setAttribute("font-size", fontSize);
       text.setAttribute("fill", "#777");
-      text.setAttribute("text-anchor", rotate ? "end" : "middle");
+      text.setAttribute("text-anchor", isRotated ? "end" : "middle");
       text.setAttribute("dominant-baseline", "hanging");
-      if (rotate) {
+      if (isRotated) {
         text.setAttribute(
           "transform",
-          `rotate(-40, ${center}, ${tickPadding})`
+          `rotate(${rotateAngle}, ${center}, ${tickPadding})`
         );
+        const rad = (Math.abs(rotateAngle) * Math.PI) / 180;
+        size = Math.max(
+          size,
+          tickPadding + width * Math.sin(rad) + fontSize * Math.cos(rad)
+        );
+      } else {
+        size = Math.max(size, tickPadding + lineHeight);
       }
     } else {
       text.setAttribute("x", -20);
@@ -53,9 +134,35 @@ export function renderAxisBand(
       text.setAttribute("fill", "#777");
       text.setAttribute("text-anchor", "end");
       text.setAttribute("dominant-baseline", "middle");
+      size = Math.max(size, 20 + width);
+    }
+
+    text.textContent = display;
+
+    // 잘린 라벨은 전체 텍스트를 툴팁(<title>)으로 제공
+    if (display !== lab) {
+      const title = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "title"
+      );
+      title.textContent = lab;
+      text.appendChild(title);
     }
 
-    text.textContent = lab;
     container.appendChild(text);
   });
+
+  // 축 제목
+  const center =
+    extent != null || !labels.length
+      ? (extent ?? 0) / 2
+      : (getPos(labels[0]) + getPos(labels[labels.length - 1]) + bandWidth) / 2;
+  size = renderAxisTitle(container, {
+    title,
+    side,
+    offset: size,
+    center,
+  });
+
+  return { size: Math.ceil(size) };
 }
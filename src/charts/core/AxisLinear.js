@@ -1,3 +1,17 @@
+import { measureText } from "./text.js";
+import { renderAxisTitle } from "./AxisTitle.js";
+
+/**
+ * 로그 축 기본 라벨 포맷 (아주 작거나 큰 값은 지수 표기)
+ */
+const formatLogTick = (v) => {
+  const abs = Math.abs(v);
+  if (abs !== 0 && (abs < 1e-3 || abs >= 1e9)) {
+    return v.toExponential(0).replace("e+", "e");
+  }
+  return v.toLocaleString(undefined, { maximumFractionDigits: 3 });
+};
+
 /**
  * AxisLinear
  * 선형 축 (Y축 또는 값 축) 렌더링
@@ -6,13 +20,18 @@
  * @param {Object} props
  * @param {number[]} props.ticks - 축에 표시할 눈금 값 배열
  * @param {(v: number) => number} props.scale - 값을 SVG 좌표로 변환하는 함수
- * @param {number} props.length - 눈금선 길이 (left면 innerWidth, bottom이면 innerHeight)
- * @param {'left' | 'bottom'} props.side - 축의 방향 결정
+ * @param {number} props.length - 눈금선 길이 (left/right면 innerWidth, bottom이면 innerHeight)
+ * @param {'left' | 'right' | 'bottom'} props.side - 축의 방향 결정 (right는 보조 축, 라벨이 innerWidth 오른쪽에 위치)
  * @param {boolean} [props.grid=true] - 눈금선(그리드 라인) 표시 여부
  * @param {(v: number) => string | number} [props.formatTick] - 눈금 라벨 포맷 함수
  * @param {string} [props.gridDash='4 4'] - 눈금선 점선 패턴
  * @param {number} [props.fontSize=12] - 눈금 라벨 폰트 크기
  * @param {number} [props.tickPadding=8] - 눈금 라벨과 축 사이의 여백
+ * @param {boolean} [props.zeroLine=false] - 0 위치에 기준선(실선) 표시 여부
+ * @param {'linear' | 'log' | 'symlog'} [props.type='linear'] - 스케일 종류 (로그 계열은 기본 라벨 포맷이 다름)
+ * @param {string} [props.title] - 축 제목 (left/right는 세로로 회전)
+ * @param {number} [props.extent] - 축 방향 길이 (제목 중앙 정렬용, left/right면 innerHeight, bottom이면 innerWidth)
+ * @returns {{ size: number }} 축 바깥쪽으로 라벨·제목이 차지하는 크기
  */
 export function renderAxisLinear(
   container,
@@ -26,19 +45,26 @@ export function renderAxisLinear(
     gridDash = "4 4",
     fontSize = 12,
     tickPadding = 8,
+    zeroLine = false,
+    type = "linear",
+    title,
+    extent,
   }
 ) {
   // 기존 내용 제거
   container.innerHTML = "";
 
-  const isLeft = side === "left";
+  const format = formatTick ?? (type === "linear" ? (t) => t : formatLogTick);
+
+  const isRight = side === "right";
+  const isYAxis = side === "left" || isRight;
 
   ticks.forEach((t, i) => {
     const pos = scale(t);
     const g = document.createElementNS("http://www.w3.org/2000/svg", "g");
 
-    if (isLeft) {
-      // Y축 (왼쪽)
+    if (isYAxis) {
+      // Y축 (왼쪽 / 오른쪽)
       if (grid) {
         const line = document.createElementNS(
           "http://www.w3.org/2000/svg",
@@ -58,13 +84,13 @@ export function renderAxisLinear(
         "http://www.w3.org/2000/svg",
         "text"
       );
-      text.setAttribute("x", -tickPadding);
+      text.setAttribute("x", isRight ? length + tickPadding : -tickPadding);
       text.setAttribute("y", pos);
       text.setAttribute("font-size", fontSize);
-      text.setAttribute("text-anchor", "end");
+      text.setAttribute("text-anchor", isRight ? "start" : "end");
       text.setAttribute("dominant-baseline", "middle");
       text.setAttribute("fill", "#777");
-      text.textContent = formatTick ? formatTick(t) : t;
+      text.textContent = format(t);
       g.appendChild(text);
     } else {
       // X축 (아래)
@@ -93,10 +119,46 @@ export function renderAxisLinear(
       text.setAttribute("text-anchor", "middle");
       text.setAttribute("dominant-baseline", "hanging");
       text.setAttribute("fill", "#777");
-      text.textContent = formatTick ? formatTick(t) : t;
+      text.textContent = format(t);
       g.appendChild(text);
     }
 
     container.appendChild(g);
   });
+
+  // 0 기준선 (음수 값이 있을 때 막대가 뻗어나가는 기준)
+  if (zeroLine) {
+    const zero = scale(0);
+    const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
+    line.setAttribute("x1", isYAxis ? 0 : zero);
+    line.setAttribute("y1", isYAxis ? zero : 0);
+    line.setAttribute("x2", isYAxis ? length : zero);
+    line.setAttribute("y2", isYAxis ? zero : length);
+    line.setAttribute("stroke", "#999");
+    line.setAttribute("shape-rendering", "crispEdges");
+    line.classList.add("axis-zero-line");
+    container.appendChild(line);
+  }
+
+  // 라벨이 차지하는 크기 (left/right는 최대 라벨 너비, bottom은 줄 높이)
+  const labelSize = isYAxis
+    ? tickPadding +
+      Math.max(0, ...ticks.map((t) => measureText(format(t), fontSize)))
+    : 14 + fontSize * 1.2;
+
+  // 축 제목
+  const positions = ticks.map(scale);
+  const center =
+    extent != null || !positions.length
+      ? (extent ?? 0) / 2
+      : (Math.min(...positions) + Math.max(...positions)) / 2;
+  const size = renderAxisTitle(container, {
+    title,
+    side,
+    offset: labelSize,
+    center,
+    origin: side === "left" ? 0 : length,
+  });
+
+  return { size: Math.ceil(size) };
 }
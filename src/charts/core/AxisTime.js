@@ -0,0 +1,153 @@
+import { makeTimeTicks } from "./ticks.js";
+import { renderAxisTitle } from "./AxisTitle.js";
+
+/**
+ * 눈금 단위별 날짜 포맷 (상위 단위 경계에서는 더 자세히 표시)
+ */
+const TIME_FORMATS = {
+  minute: { hour: "2-digit", minute: "2-digit" },
+  hour: { hour: "2-digit", minute: "2-digit" },
+  day: { month: "short", day: "numeric" },
+  week: { month: "short", day: "numeric" },
+  month: { month: "short" },
+  year: { year: "numeric" },
+};
+
+/**
+ * timeTickFormatter
+ * 눈금 단위에 맞는 로케일 날짜 포맷 함수 생성
+ *
+ * @param {'minute' | 'hour' | 'day' | 'week' | 'month' | 'year'} unit - 눈금 단위
+ * @param {string | string[]} [locale] - 로케일 (없으면 브라우저 기본값)
+ * @returns {(t: number) => string}
+ */
+export function timeTickFormatter(unit, locale) {
+  const primary = new Intl.DateTimeFormat(locale, TIME_FORMATS[unit]);
+  const dayFmt = new Intl.DateTimeFormat(locale, TIME_FORMATS.day);
+  const yearMonthFmt = new Intl.DateTimeFormat(locale, {
+    year: "numeric",
+    month: "short",
+  });
+
+  return (t) => {
+    const d = new Date(t);
+    const isMidnight = d.getHours() === 0 && d.getMinutes() === 0;
+    if ((unit === "minute" || unit === "hour") && isMidnight) {
+      return dayFmt.format(d);
+    }
+    if (unit === "month" && d.getMonth() === 0) {
+      return yearMonthFmt.format(d);
+    }
+    return primary.format(d);
+  };
+}
+
+/**
+ * formatDateTime
+ * 툴팁 등에 쓰는 전체 날짜 문자열 (자정이면 시간 생략)
+ *
+ * @param {number} t - 타임스탬프
+ * @param {string | string[]} [locale] - 로케일
+ * @returns {string}
+ */
+export function formatDateTime(t, locale) {
+  const d = new Date(t);
+  const hasTime =
+    d.getHours() !== 0 || d.getMinutes() !== 0 || d.getSeconds() !== 0;
+  return new Intl.DateTimeFormat(locale, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    ...(hasTime ? { hour: "2-digit", minute: "2-digit" } : {}),
+  }).format(d);
+}
+
+/**
+ * AxisTime
+ * 시간 축 (X축) 렌더링 — 구간에 맞는 달력 단위 눈금 자동 선택
+ *
+ * @param {SVGGElement} container - SVG g 요소 (축을 그릴 컨테이너)
+ * @param {Object} props
+ * @param {[number, number]} props.domain - 시작/끝 타임스탬프
+ * @param {(t: number) => number} props.scale - 타임스탬프를 SVG 좌표로 변환하는 함수
+ * @param {number} props.length - 눈금선 길이 (innerHeight)
+ * @param {number} [props.tickCount=6] - 목표 눈금 개수
+ * @param {string | string[]} [props.locale] - 날짜 포맷 로케일
+ * @param {(t: Date) => string} [props.formatTick] - 눈금 라벨 포맷 함수
+ * @param {boolean} [props.grid=false] - 세로 눈금선 표시 여부
+ * @param {string} [props.gridDash='4 4'] - 눈금선 점선 패턴
+ * @param {number} [props.fontSize=12] - 눈금 라벨 폰트 크기
+ * @param {number} [props.tickPadding=14] - 축과 라벨 사이의 여백
+ * @param {string} [props.title] - 축 제목
+ * @param {number} [props.extent] - 축 방향 길이 (제목 중앙 정렬용, innerWidth)
+ * @returns {{ size: number }} 축 아래로 라벨·제목이 차지하는 높이
+ */
+export function renderAxisTime(
+  container,
+  {
+    domain,
+    scale,
+    length,
+    tickCount = 6,
+    locale,
+    formatTick,
+    grid = false,
+    gridDash = "4 4",
+    fontSize = 12,
+    tickPadding = 14,
+    title,
+    extent,
+  }
+) {
+  // 기존 내용 제거
+  container.innerHTML = "";
+
+  const [tMin, tMax] = domain;
+  const { ticks, unit } = makeTimeTicks(tMin, tMax, tickCount);
+  const format = formatTick
+    ? (t) => formatTick(new Date(t))
+    : timeTickFormatter(unit, locale);
+
+  ticks.forEach((t) => {
+    const pos = scale(t);
+    const g = document.createElementNS("http://www.w3.org/2000/svg", "g");
+
+    if (grid) {
+      const line = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "line"
+      );
+      line.setAttribute("x1", pos);
+      line.setAttribute("y1", 0);
+      line.setAttribute("x2", pos);
+      line.setAttribute("y2", length);
+      line.setAttribute("stroke", "#d7d7d7");
+      line.setAttribute("stroke-dasharray", gridDash);
+      line.setAttribute("shape-rendering", "crispEdges");
+      g.appendChild(line);
+    }
+
+    const text = document.createElementNS("http://www.w3.org/2000/svg", "text");
+    text.setAttribute("x", pos);
+    text.setAttribute("y", length + tickPadding);
+    text.setAttribute("font-size", fontSize);
+    text.setAttribute("text-anchor", "middle");
+    text.setAttribute("dominant-baseline", "hanging");
+    text.setAttribute("fill", "#777");
+    text.textContent = format(t);
+    g.appendChild(text);
+
+    container.appendChild(g);
+  });
+
+  // 축 제목
+  const size = renderAxisTitle(container, {
+    title,
+    side: "bottom",
+    offset: tickPadding + fontSize * 1.2,
+    center: (extent ?? scale(tMax) + scale(tMin)) / 2,
+    origin: length,
+  });
+
+  return { size: Math.ceil(size) };
+}
@@ -0,0 +1,68 @@
+/** 축 라벨과 제목 사이 간격 */
+const TITLE_GAP = 8;
+
+/**
+ * formatAxisTitle
+ * 제목과 단위를 합친 축 제목 문자열 (예: "매출 (억원)")
+ *
+ * @param {{ title?: string, unit?: string }} [axis] - 축 설정
+ * @returns {string} 제목 (없으면 빈 문자열)
+ */
+export function formatAxisTitle(axis) {
+  const title = axis?.title ?? "";
+  const unit = axis?.unit ?? "";
+  if (title && unit) return `${title} (${unit})`;
+  return title || unit;
+}
+
+/**
+ * renderAxisTitle
+ * 축 제목 렌더링 (left/right는 세로로 회전)
+ *
+ * @param {SVGGElement} container - 축 g 요소
+ * @param {Object} props
+ * @param {string} props.title - 제목 텍스트
+ * @param {'left' | 'right' | 'bottom'} props.side - 축 위치
+ * @param {number} props.offset - 축선에서 라벨 바깥쪽까지 거리
+ * @param {number} props.center - 축 방향 중앙 좌표
+ * @param {number} [props.origin=0] - 축선 좌표 (bottom이면 y, left/right면 x)
+ * @param {number} [props.fontSize=12] - 제목 폰트 크기
+ * @returns {number} 축선에서 제목 바깥쪽까지 거리
+ */
+export function renderAxisTitle(
+  container,
+  { title, side, offset, center, origin = 0, fontSize = 12 }
+) {
+  if (!title) return offset;
+
+  const text = document.createElementNS("http://www.w3.org/2000/svg", "text");
+  const distance = offset + TITLE_GAP;
+
+  text.setAttribute("font-size", fontSize);
+  text.setAttribute("font-weight", "500");
+  text.setAttribute("fill", "#555");
+  text.setAttribute("text-anchor", "middle");
+  text.classList.add("axis-title");
+
+  if (side === "bottom") {
+    text.setAttribute("x", center);
+    text.setAttribute("y", origin + distance);
+    text.setAttribute("dominant-baseline", "hanging");
+  } else {
+    // 세로 제목: 글자 위쪽이 축 바깥을 향하도록 회전
+    const isLeft = side === "left";
+    const x = isLeft ? origin - distance : origin + distance;
+    text.setAttribute("x", x);
+    text.setAttribute("y", center);
+    text.setAttribute("dominant-baseline", "text-after-edge");
+    text.setAttribute(
+      "transform",
+      `rotate(${isLeft ? -90 : 90}, ${x}, ${center})`
+    );
+  }
+
+  text.textContent = title;
+  container.appendChild(text);
+
+  return distance + fontSize * 1.2;
+}
@@ -0,0 +1,85 @@
+/**
+ * @typedef {Object} BrushLine
+ * @property {string} d - 개요 영역 좌표의 선 경로 (path d)
+ * @property {string} color - 선 색상
+ */
+
+/** 핸들 너비 (px) */
+const HANDLE_WIDTH = 8;
+
+/**
+ * renderBrush
+ * 전체 구간 개요 + 보이는 구간 창 렌더링 (SVG)
+ * - 드래그 등 제스처는 createXZoom이 처리 (여기서는 그리기만)
+ *
+ * @param {SVGGElement} container - SVG g 요소 (개요 영역 좌상단 기준)
+ * @param {Object} props
+ * @param {number} props.width - 개요 너비
+ * @param {number} props.height - 개요 높이
+ * @param {(v: number) => number} props.scale - 전체 구간 → X 픽셀
+ * @param {[number, number]} props.range - 보이는 구간
+ * @param {BrushLine[]} props.lines - 개요 선
+ * @param {string} [props.label] - 창의 접근 가능한 값 설명 (예: "2024. 1. 1. ~ 2024. 3. 31.")
+ */
+export function renderBrush(
+  container,
+  { width, height, scale, range, lines, label }
+) {
+  container.innerHTML = "";
+  container.classList.add("brush");
+
+  const make = (tag, attrs, className) => {
+    const el = document.createElementNS("http://www.w3.org/2000/svg", tag);
+    Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+    if (className) el.setAttribute("class", className);
+    container.appendChild(el);
+    return el;
+  };
+
+  // 배경 (바깥 드래그로 새 구간 선택)
+  make(
+    "rect",
+    { width: Math.max(0, width), height: Math.max(0, height) },
+    "brush-background"
+  );
+
+  // 전체 데이터 개요 선
+  lines.forEach(({ d, color }) => {
+    make("path", { d, fill: "none", stroke: color }, "brush-line");
+  });
+
+  // 보이는 구간 바깥은 흐리게
+  const x0 = Math.max(0, Math.min(width, scale(range[0])));
+  const x1 = Math.max(x0, Math.min(width, scale(range[1])));
+  make("rect", { width: x0, height }, "brush-shade");
+  make(
+    "rect",
+    { x: x1, width: Math.max(0, width - x1), height },
+    "brush-shade"
+  );
+
+  // 보이는 구간 창 (드래그로 이동, 키보드 ←→ +/-)
+  const win = make(
+    "rect",
+    { x: x0, width: x1 - x0, height, tabindex: 0 },
+    "brush-window"
+  );
+  win.setAttribute("role", "slider");
+  win.setAttribute("aria-label", "표시 구간");
+  win.setAttribute("aria-valuemin", 0);
+  win.setAttribute("aria-valuemax", 100);
+  win.setAttribute("aria-valuenow", Math.round((x0 / (width || 1)) * 100));
+  if (label) win.setAttribute("aria-valuetext", label);
+
+  // 양끝 핸들 (드래그로 크기 조절)
+  [
+    [x0, "brush-handle brush-handle--start"],
+    [x1, "brush-handle brush-handle--end"],
+  ].forEach(([x, className]) => {
+    make(
+      "rect",
+      { x: x - HANDLE_WIDTH / 2, width: HANDLE_WIDTH, height, rx: 2 },
+      className
+    );
+  });
+}
@@ -9,7 +9,7 @@
  * @param {Partial<import('./types').Padding>} [options.framePadding] - 프레임 패딩
  * @param {number} [options.minWidth=320] - 최소 너비
  * @param {number} [options.defaultWidth=640] - 초기 기본 너비
- * @param {(context: { innerWidth: number, innerHeight: number, svg: SVGSVGElement, g: SVGGElement }) => void} options.render - 렌더링 콜백
+ * @param {(context: { innerWidth: number, innerHeight: number, svg: SVGSVGElement, g: SVGGElement, growPadding: (side: keyof import('./types').Padding, size: number) => void }) => void} options.render - 렌더링 콜백 (growPadding으로 축 라벨 등에 필요한 여백을 요청하면 늘어난 패딩으로 다시 렌더링)
  * @returns {{ destroy: () => void, update: () => void }}
  */
 export function createChartWrapper(
@@ -43,7 +43,6 @@ export function createChartWrapper(
 
   // 내부 g 요소 (패딩 적용)
   const g = document.createElementNS("http://www.w3.org/2000/svg", "g");
-  g.setAttribute("transform", `translate(${pad.left},${pad.top})`);
   svg.appendChild(g);
 
   wrapper.appendChild(svg);
@@ -63,15 +62,30 @@ export function createChartWrapper(
   // 렌더링 함수
   const doRender = () => {
     const outerW = currentWidth;
-    const innerWidth = outerW - pad.left - pad.right;
-    const innerHeight = height - pad.top - pad.bottom;
 
     svg.setAttribute("width", outerW);
     svg.setAttribute("height", height);
     svg.setAttribute("viewBox", `0 0 ${outerW} ${height}`);
 
-    // 내부 차트 렌더링
-    render({ innerWidth, innerHeight, svg, g });
+    // 렌더링 중 요청된 여백만큼 패딩을 늘려 다시 렌더링 (최대 3회)
+    const fit = { ...pad };
+    for (let pass = 0; pass < 3; pass++) {
+      let grown = false;
+      const growPadding = (side, size) => {
+        if (size > fit[side] + 0.5) {
+          fit[side] = Math.ceil(size);
+          grown = true;
+        }
+      };
+
+      const innerWidth = outerW - fit.left - fit.right;
+      const innerHeight = height - fit.top - fit.bottom;
+      g.setAttribute("transform", `translate(${fit.left},${fit.top})`);
+
+      // 내부 차트 렌더링
+      render({ innerWidth, innerHeight, svg, g, growPadding });
+      if (!grown) break;
+    }
   };
 
   // ResizeObserver (반응형)
@@ -0,0 +1,137 @@
+import { placeTooltipAt } from "./a11y.js";
+
+/**
+ * @typedef {Object} CrosshairPoint
+ * @property {number} cy - 포인트 Y 좌표
+ * @property {string} color - 강조 포인트 색상
+ */
+
+/**
+ * @typedef {Object} CrosshairColumn
+ * @property {number} x - 세로선 X 좌표
+ * @property {string} label - X 라벨 (툴팁 제목)
+ * @property {CrosshairPoint[]} points - 해당 X의 시리즈별 포인트
+ */
+
+/**
+ * renderCrosshair
+ * 라인 차트 공용 크로스헤어 (SVG)
+ * - 플롯 영역 전체를 덮는 투명 오버레이가 포인터(마우스·터치·펜)에 가장 가까운 X로 스냅
+ * - 세로선과 해당 X의 모든 포인트를 강조하고 툴팁 하나에 내용 표시
+ *
+ * @param {SVGGElement} container - SVG g 요소 (맨 마지막에 그려야 포인터를 받음)
+ * @param {Object} props
+ * @param {CrosshairColumn[]} props.columns - X 순서로 정렬된 열
+ * @param {number} props.innerWidth - 내부 너비
+ * @param {number} props.innerHeight - 내부 높이
+ * @param {HTMLElement} props.tooltip - 툴팁 요소
+ * @param {(column: CrosshairColumn) => string} props.renderTooltip - 툴팁 HTML
+ * @param {number} [props.dotRadius=4] - 강조 포인트 반지름
+ * @returns {{ showColumn: (column: CrosshairColumn, el: Element) => void, hide: () => void }} 키보드 포커스용 (el 위에 툴팁)
+ */
+export function renderCrosshair(
+  container,
+  { columns, innerWidth, innerHeight, tooltip, renderTooltip, dotRadius = 4 }
+) {
+  const chart = tooltip.parentElement;
+
+  // 세로선 + 강조 포인트 (포인터 이벤트 없음)
+  const layer = document.createElementNS("http://www.w3.org/2000/svg", "g");
+  layer.classList.add("crosshair");
+  layer.style.display = "none";
+
+  const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
+  line.setAttribute("y1", 0);
+  line.setAttribute("y2", innerHeight);
+  line.classList.add("crosshair-line");
+  layer.appendChild(line);
+
+  const dots = document.createElementNS("http://www.w3.org/2000/svg", "g");
+  layer.appendChild(dots);
+  container.appendChild(layer);
+
+  // 포인터 수신용 오버레이
+  const overlay = document.createElementNS(
+    "http://www.w3.org/2000/svg",
+    "rect"
+  );
+  overlay.setAttribute("width", Math.max(0, innerWidth));
+  overlay.setAttribute("height", Math.max(0, innerHeight));
+  overlay.setAttribute("fill", "transparent");
+  overlay.classList.add("crosshair-overlay");
+  container.appendChild(overlay);
+
+  let active = null;
+
+  const hide = () => {
+    active = null;
+    layer.style.display = "none";
+    tooltip.style.display = "none";
+  };
+
+  // 세로선·강조 포인트·툴팁 내용을 해당 열로
+  const activate = (column) => {
+    if (column !== active) {
+      active = column;
+      line.setAttribute("x1", column.x);
+      line.setAttribute("x2", column.x);
+      dots.innerHTML = "";
+      column.points.forEach((p) => {
+        const dot = document.createElementNS(
+          "http://www.w3.org/2000/svg",
+          "circle"
+        );
+        dot.setAttribute("cx", column.x);
+        dot.setAttribute("cy", p.cy);
+        dot.setAttribute("r", dotRadius);
+        dot.setAttribute("fill", p.color);
+        dot.classList.add("crosshair-dot");
+        dots.appendChild(dot);
+      });
+      tooltip.innerHTML = renderTooltip(column);
+    }
+
+    layer.style.display = "";
+    tooltip.style.display = "block";
+  };
+
+  const show = (e) => {
+    if (!columns.length) return;
+    const rect = overlay.getBoundingClientRect();
+    // 화면 크기와 viewBox 크기가 다를 수 있어 비율로 환산
+    const scaleX = rect.width ? innerWidth / rect.width : 1;
+    const px = (e.clientX - rect.left) * scaleX;
+
+    // 가장 가까운 X
+    const column = columns.reduce((best, c) =>
+      Math.abs(c.x - px) < Math.abs(best.x - px) ? c : best
+    );
+    activate(column);
+
+    // 툴팁은 스냅된 X 위, 포인터 높이에 표시
+    const containerRect = chart.getBoundingClientRect();
+    tooltip.style.left = `${
+      rect.left + column.x / scaleX - containerRect.left
+    }px`;
+    tooltip.style.top = `${e.clientY - containerRect.top - 8}px`;
+  };
+
+  overlay.addEventListener("pointerdown", show);
+  overlay.addEventListener("pointermove", show);
+  // 터치는 손을 떼도 마지막 값을 유지 (다시 그리면 사라짐)
+  overlay.addEventListener("pointerleave", (e) => {
+    if (e.pointerType !== "touch") hide();
+  });
+  overlay.addEventListener("pointercancel", hide);
+
+  // 다시 그리면 이전 스냅 상태는 무효
+  hide();
+
+  return {
+    showColumn(column, el) {
+      activate(column);
+      placeTooltipAt(tooltip, el);
+    },
+    hide,
+  };
+}
@@ -0,0 +1,107 @@
+import { addDescribedBy } from "./a11y.js";
+
+/**
+ * @typedef {Object} DataTableOpts
+ * @property {boolean} [toggle=false] - 표 보기/숨기기 버튼 표시 (false면 화면에서 숨기고 스크린 리더에만 제공)
+ * @property {string} [caption] - 표 제목 (생략 시 차트 이름)
+ */
+
+let tableId = 0;
+
+/**
+ * renderDataTable
+ * 차트 데이터 대체 표 렌더링 (HTML DOM)
+ * - 화면에서는 숨기되(CSS 없이 보면 그대로 노출) 차트 SVG의 aria-describedby로 연결
+ * - 다시 호출하면 같은 표의 내용만 갱신 (토글 상태 유지)
+ *
+ * @param {HTMLElement} container - 차트 컨테이너 (맨 끝에 표 추가)
+ * @param {SVGSVGElement} svg - 표를 연결할 차트 SVG
+ * @param {boolean | DataTableOpts | undefined} options - 차트의 dataTable 옵션 (없으면 표 제거)
+ * @param {Object} props
+ * @param {string} props.caption - 기본 표 제목
+ * @param {string[]} props.columns - 열 머리글 (첫 열은 행 머리글의 제목)
+ * @param {string[][]} props.rows - 포맷된 행 (첫 칸은 행 머리글)
+ */
+export function renderDataTable(
+  container,
+  svg,
+  options,
+  { caption, columns, rows }
+) {
+  let wrapper = container.querySelector(".chart-data-table");
+  if (!options) {
+    wrapper?.remove();
+    return;
+  }
+  const opts = options === true ? {} : options;
+
+  // 처음 한 번만 생성
+  if (!wrapper) {
+    wrapper = document.createElement("div");
+    wrapper.className = "chart-data-table";
+
+    const table = document.createElement("table");
+    table.id = `chart-table-${++tableId}`;
+
+    if (opts.toggle) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "chart-data-table-toggle";
+      button.setAttribute("aria-controls", table.id);
+      button.setAttribute("aria-expanded", "false");
+      button.textContent = "데이터 표 보기";
+      button.addEventListener("click", () => {
+        const open = wrapper.classList.toggle("chart-data-table--open");
+        button.setAttribute("aria-expanded", String(open));
+        button.textContent = open ? "데이터 표 숨기기" : "데이터 표 보기";
+      });
+      wrapper.appendChild(button);
+    }
+
+    wrapper.appendChild(table);
+    container.appendChild(wrapper);
+  }
+
+  const table = wrapper.querySelector("table");
+  table.innerHTML = "";
+
+  const captionEl = document.createElement("caption");
+  captionEl.textContent = opts.caption ?? caption;
+  table.appendChild(captionEl);
+
+  // 머리글
+  const thead = document.createElement("thead");
+  const headRow = document.createElement("tr");
+  columns.forEach((label) => {
+    const th = document.createElement("th");
+    th.setAttribute("scope", "col");
+    th.textContent = label;
+    headRow.appendChild(th);
+  });
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  // 본문 (첫 칸은 행 머리글)
+  const tbody = document.createElement("tbody");
+  rows.forEach((row) => {
+    const tr = document.createElement("tr");
+    row.forEach((value, i) => {
+      const cell = document.createElement(i === 0 ? "th" : "td");
+      if (i === 0) cell.setAttribute("scope", "row");
+      cell.textContent = value ?? "";
+      tr.appendChild(cell);
+    });
+    tbody.appendChild(tr);
+  });
+  if (!rows.length) {
+    const tr = document.createElement("tr");
+    const td = document.createElement("td");
+    td.colSpan = columns.length;
+    td.textContent = "데이터 없음";
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+
+  addDescribedBy(svg, table.id);
+}
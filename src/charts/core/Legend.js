@@ -1,3 +1,6 @@
+/** 더블클릭을 기다리는 시간 (ms) — 이 안에 두 번째 클릭이 오면 한 번의 isolate로 처리 */
+const DBLCLICK_DELAY = 250;
+
 /**
  * renderLegend
  * 범례 렌더링 (HTML DOM)
@@ -9,11 +12,21 @@
  * @param {(key: string) => string} [props.getColor] - 색상 반환 함수
  * @param {Record<string, string>} [props.colors] - 색상 맵 (getColor 없을 때 사용)
  * @param {'top' | 'right'} [props.position='top'] - 범례 위치
+ * @param {Iterable<string>} [props.hidden] - 숨긴 시리즈 키 (흐리게 표시)
+ * @param {(key: string, isolate: boolean) => void} [props.onToggle] - 항목 클릭 콜백 (있으면 토글 가능한 범례, Shift+클릭·더블클릭은 isolate)
  * @returns {HTMLElement} 생성된 범례 요소
  */
 export function renderLegend(
   container,
-  { seriesOrder, seriesLabels, getColor, colors, position = "top" }
+  {
+    seriesOrder,
+    seriesLabels,
+    getColor,
+    colors,
+    position = "top",
+    hidden,
+    onToggle,
+  }
 ) {
   // 기존 내용 제거 (container가 있을 때만)
   if (container) {
@@ -21,15 +34,31 @@ export function renderLegend(
   }
 
   const colorOf = getColor ?? ((k) => colors?.[k] ?? "#9ca3af");
+  const hiddenKeys = new Set(hidden ?? []);
+
+  // 단일 클릭은 더블클릭이 아닌 것이 확실할 때 한 번만 토글
+  let pendingClick = null;
 
   // 범례 컨테이너
   const legend = document.createElement("div");
   legend.className =
     position === "right" ? "chart-legend chart-legend--right" : "chart-legend";
 
+  // 토글로 범례가 다시 그려지면 같은 키의 새 항목으로 포커스 이동
+  const toggle = (key, isolate) => {
+    const parent = legend.parentNode;
+    const hadFocus = legend.contains(document.activeElement);
+    onToggle(key, isolate);
+    if (!hadFocus || legend.isConnected || !parent) return;
+    [...parent.querySelectorAll(".legend-item")]
+      .find((el) => el.dataset.key === key)
+      ?.focus();
+  };
+
   seriesOrder.forEach((key) => {
     const item = document.createElement("div");
     item.className = "legend-item";
+    item.dataset.key = key;
 
     const colorBox = document.createElement("div");
     colorBox.className = "legend-color";
@@ -41,6 +70,40 @@ export function renderLegend(
 
     item.appendChild(colorBox);
     item.appendChild(label);
+
+    // 토글 가능한 범례: 클릭 / Enter·Space로 표시 전환
+    if (onToggle) {
+      const isHidden = hiddenKeys.has(key);
+      item.classList.add("legend-item--toggle");
+      if (isHidden) item.classList.add("legend-item--hidden");
+      item.setAttribute("role", "button");
+      item.setAttribute("tabindex", "0");
+      item.setAttribute("aria-pressed", String(!isHidden));
+
+      item.addEventListener("click", (e) => {
+        clearTimeout(pendingClick);
+        if (e.shiftKey) {
+          toggle(key, true);
+          return;
+        }
+        // 두 번째 이후 클릭은 dblclick에서 처리
+        if (e.detail > 1) return;
+        pendingClick = setTimeout(() => {
+          if (legend.isConnected) toggle(key, false);
+        }, DBLCLICK_DELAY);
+      });
+      item.addEventListener("dblclick", () => {
+        clearTimeout(pendingClick);
+        toggle(key, true);
+      });
+      item.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          toggle(key, e.shiftKey);
+        }
+      });
+    }
+
     legend.appendChild(item);
   });
 
@@ -50,3 +113,102 @@ export function renderLegend(
 
   return legend;
 }
+
+/**
+ * toggleLegendKey
+ * 범례 토글 후 숨길 키 집합 계산
+ * - 기본: 해당 키만 숨김 ↔ 표시 전환
+ * - isolate: 해당 키만 남기고 모두 숨김 (이미 혼자 보이는 상태면 모두 표시)
+ *
+ * @param {Set<string>} hidden - 현재 숨긴 키
+ * @param {string} key - 클릭한 키
+ * @param {string[]} keys - 전체 키
+ * @param {boolean} [isolate=false]
+ * @returns {Set<string>} 새 숨김 키 집합
+ */
+export function toggleLegendKey(hidden, key, keys, isolate = false) {
+  if (isolate) {
+    const others = keys.filter((k) => k !== key);
+    const isIsolated = !hidden.has(key) && others.every((k) => hidden.has(k));
+    return isIsolated ? new Set() : new Set(others);
+  }
+
+  const next = new Set(hidden);
+  if (next.has(key)) next.delete(key);
+  else next.add(key);
+  return next;
+}
+
+/**
+ * renderGradientLegend
+ * 연속 색상 스케일 범례 렌더링 (HTML DOM, 최소값 — 그라디언트 막대 — 최대값)
+ *
+ * @param {HTMLElement|null} container - 범례를 그릴 컨테이너 (null이면 요소만 반환)
+ * @param {Object} props
+ * @param {number} props.min - 도메인 최소값
+ * @param {number} props.max - 도메인 최대값
+ * @param {(v: number) => string} props.getColor - 값을 받아 색상을 반환하는 함수
+ * @param {(v: number) => string} [props.formatValue] - 최소/최대 라벨 포맷
+ * @param {string} [props.title] - 범례 제목
+ * @param {number} [props.steps=10] - 그라디언트 샘플 개수
+ * @param {'top' | 'right'} [props.position='top'] - 범례 위치
+ * @returns {HTMLElement} 생성된 범례 요소
+ */
+export function renderGradientLegend(
+  container,
+  {
+    min,
+    max,
+    getColor,
+    formatValue = (v) => String(v),
+    title,
+    steps = 10,
+    position = "top",
+  }
+) {
+  // 기존 내용 제거 (container가 있을 때만)
+  if (container) {
+    container.innerHTML = "";
+  }
+
+  // 범례 컨테이너
+  const legend = document.createElement("div");
+  legend.className = `chart-legend chart-legend--gradient${
+    position === "right" ? " chart-legend--right" : ""
+  }`;
+
+  if (title) {
+    const titleEl = document.createElement("span");
+    titleEl.className = "legend-label legend-title";
+    titleEl.textContent = title;
+    legend.appendChild(titleEl);
+  }
+
+  const minLabel = document.createElement("span");
+  minLabel.className = "legend-label";
+  minLabel.textContent = formatValue(min);
+
+  // 도메인을 고르게 샘플링해 그라디언트 정지점 생성
+  const stops = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    stops.push(`${getColor(min + (max - min) * t)} ${t * 100}%`);
+  }
+  const bar = document.createElement("div");
+  bar.className = "legend-gradient";
+  bar.style.background = `linear-gradient(to right, ${stops.join(", ")})`;
+
+  const maxLabel = document.createElement("span");
+  maxLabel.className = "legend-label";
+  maxLabel.textContent = formatValue(max);
+
+  legend.appendChild(minLabel);
+  legend.appendChild(bar);
+  legend.appendChild(maxLabel);
+
+  if (container) {
+    container.appendChild(legend);
+  }
+
+  return legend;
+}
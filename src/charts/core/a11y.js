@@ -0,0 +1,222 @@
+/**
+ * @typedef {Object} KeyboardMark
+ * @property {SVGElement} el - 포커스를 받을 데이터 요소 (막대·포인트·조각 등)
+ * @property {string} html - 툴팁 HTML (평문으로 바꿔 접근 가능한 이름으로도 사용)
+ */
+
+let descId = 0;
+
+/**
+ * toPlainText
+ * 툴팁 HTML을 스크린 리더용 평문으로 변환 (줄바꿈은 쉼표)
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function toPlainText(html) {
+  return String(html)
+    .replace(/<br\s*\/?>/gi, ", ")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * summarizeExtent
+ * 최솟값·최댓값 요약 문장
+ *
+ * @param {{ label: string, value: number }[]} items
+ * @param {(v: number) => string} format - 값 포맷
+ * @returns {string} 예: "최솟값 A 21, 최댓값 C 64" (항목이 없으면 빈 문자열)
+ */
+export function summarizeExtent(items, format) {
+  const valid = items.filter((d) => Number.isFinite(d.value));
+  if (!valid.length) return "";
+  const min = valid.reduce((a, d) => (d.value < a.value ? d : a));
+  const max = valid.reduce((a, d) => (d.value > a.value ? d : a));
+  return `최솟값 ${min.label} ${format(min.value)}, 최댓값 ${
+    max.label
+  } ${format(max.value)}`;
+}
+
+/**
+ * describeChart
+ * 차트 SVG에 역할·접근 가능한 이름·요약 설정
+ * - 내부 데이터 요소가 포커스를 받으므로 role="img" 대신 graphics-document 사용
+ * - 요약은 SVG <desc>에 두고 aria-describedby로 연결 (다시 호출하면 내용만 갱신)
+ *
+ * @param {SVGSVGElement} svg
+ * @param {Object} props
+ * @param {string} props.label - 차트 이름
+ * @param {string | string[]} [props.summary] - 데이터 요약 (배열이면 빈 문장을 빼고 마침표로 연결)
+ */
+export function describeChart(svg, { label, summary }) {
+  svg.setAttribute("role", "graphics-document");
+  svg.setAttribute("aria-roledescription", "차트");
+  svg.setAttribute("aria-label", label);
+
+  let desc = Array.from(svg.children).find(
+    (el) => el.tagName.toLowerCase() === "desc"
+  );
+  if (!desc) {
+    desc = document.createElementNS("http://www.w3.org/2000/svg", "desc");
+    desc.id = `chart-desc-${++descId}`;
+    svg.insertBefore(desc, svg.firstChild);
+  }
+  desc.textContent = Array.isArray(summary)
+    ? summary.filter(Boolean).join(". ")
+    : summary ?? "";
+
+  // 다시 그리며 새로 만든 <desc>로 교체 (데이터 표 등 다른 연결은 유지)
+  const others = (svg.getAttribute("aria-describedby") ?? "")
+    .split(/\s+/)
+    .filter((id) => id && !id.startsWith("chart-desc-"));
+  svg.setAttribute("aria-describedby", [desc.id, ...others].join(" "));
+}
+
+/**
+ * addDescribedBy
+ * aria-describedby에 id 추가 (이미 있으면 그대로)
+ *
+ * @param {Element} el
+ * @param {string} id
+ */
+export function addDescribedBy(el, id) {
+  const ids = (el.getAttribute("aria-describedby") ?? "")
+    .split(/\s+/)
+    .filter(Boolean);
+  if (!ids.includes(id)) ids.push(id);
+  el.setAttribute("aria-describedby", ids.join(" "));
+}
+
+/**
+ * placeTooltipAt
+ * 요소 위쪽 가운데에 툴팁 배치 (포커스처럼 포인터 좌표가 없을 때)
+ *
+ * @param {HTMLElement} tooltip - 툴팁 (차트 컨테이너의 자식)
+ * @param {Element} el - 기준 요소
+ */
+export function placeTooltipAt(tooltip, el) {
+  const containerRect = tooltip.parentElement.getBoundingClientRect();
+  const rect = el.getBoundingClientRect();
+  tooltip.style.left = `${rect.left + rect.width / 2 - containerRect.left}px`;
+  tooltip.style.top = `${rect.top - containerRect.top - 8}px`;
+}
+
+/**
+ * bindKeyboardNav
+ * 데이터 요소 키보드 탐색 (roving tabindex)
+ * - Tab으로 차트에 들어오면 마지막으로 포커스한 요소 하나만 탭 순서에 남음
+ * - 범주 방향 화살표: 같은 시리즈의 이전/다음 범주, 교차 방향 화살표: 같은 범주의 다른 시리즈
+ * - Home/End: 시리즈의 처음/끝, Enter/Space: 클릭과 같은 동작, Escape: 툴팁 닫기
+ * - 포커스하면 툴팁 표시, 접근 가능한 이름은 툴팁 내용의 평문
+ *
+ * @param {(KeyboardMark | null)[][]} grid - [시리즈][범주] 순서의 요소 (없는 칸은 null)
+ * @param {Object} props
+ * @param {HTMLElement} props.tooltip - 툴팁 요소
+ * @param {'x' | 'y'} [props.categoryAxis='x'] - 범주가 놓인 방향 (가로 막대 등은 'y')
+ * @param {(mark: KeyboardMark) => void} [props.onFocus] - 포커스 시 툴팁 표시 대신 호출
+ * @param {() => void} [props.onBlur] - 포커스 해제 시 추가 동작
+ */
+export function bindKeyboardNav(
+  grid,
+  { tooltip, categoryAxis = "x", onFocus, onBlur }
+) {
+  const rows = grid.filter((row) => row.some(Boolean));
+  const marks = rows.flat().filter(Boolean);
+  if (!marks.length) return;
+
+  const single = rows.length === 1;
+
+  // 같은 행에서 c부터 step 방향으로 첫 요소
+  const scan = (row, c, step) => {
+    for (let i = c; i >= 0 && i < row.length; i += step) {
+      if (row[i]) return i;
+    }
+    return -1;
+  };
+
+  // 다른 행에서 비슷한 위치의 가장 가까운 요소
+  const nearest = (row, ratio) => {
+    const c = Math.round(ratio * (row.length - 1));
+    for (let d = 0; d < row.length; d++) {
+      if (row[c + d]) return c + d;
+      if (row[c - d]) return c - d;
+    }
+    return -1;
+  };
+
+  const move = (r, c, key) => {
+    const row = rows[r];
+    const forward = categoryAxis === "x" ? "ArrowRight" : "ArrowDown";
+    const backward = categoryAxis === "x" ? "ArrowLeft" : "ArrowUp";
+    const next = categoryAxis === "x" ? "ArrowDown" : "ArrowRight";
+    const prev = categoryAxis === "x" ? "ArrowUp" : "ArrowLeft";
+
+    // 시리즈가 하나면 교차 방향도 범주 이동
+    if (key === forward || (single && key === next)) {
+      return [r, scan(row, c + 1, 1)];
+    }
+    if (key === backward || (single && key === prev)) {
+      return [r, scan(row, c - 1, -1)];
+    }
+    if (key === "Home") return [r, scan(row, 0, 1)];
+    if (key === "End") return [r, scan(row, row.length - 1, -1)];
+    if (key === next || key === prev) {
+      const nr = r + (key === next ? 1 : -1);
+      if (nr < 0 || nr >= rows.length) return [r, -1];
+      const ratio = row.length > 1 ? c / (row.length - 1) : 0;
+      return [nr, nearest(rows[nr], ratio)];
+    }
+    return null;
+  };
+
+  marks.forEach((mark) => {
+    mark.el.classList.add("chart-mark");
+    mark.el.setAttribute("role", "graphics-symbol");
+    mark.el.setAttribute("aria-label", toPlainText(mark.html));
+    mark.el.setAttribute("tabindex", mark === marks[0] ? "0" : "-1");
+  });
+
+  rows.forEach((row, r) =>
+    row.forEach((mark, c) => {
+      if (!mark) return;
+
+      mark.el.addEventListener("focus", () => {
+        marks.forEach((m) => m.el.setAttribute("tabindex", "-1"));
+        mark.el.setAttribute("tabindex", "0");
+        if (onFocus) {
+          onFocus(mark);
+        } else {
+          tooltip.innerHTML = mark.html;
+          tooltip.style.display = "block";
+          placeTooltipAt(tooltip, mark.el);
+        }
+      });
+
+      mark.el.addEventListener("blur", () => {
+        tooltip.style.display = "none";
+        if (onBlur) onBlur();
+      });
+
+      mark.el.addEventListener("keydown", (e) => {
+        // 툴팁 닫기 (WCAG 1.4.13)
+        if (e.key === "Escape") {
+          tooltip.style.display = "none";
+          return;
+        }
+        if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          mark.el.dispatchEvent(new MouseEvent("click", { bubbles: true }));
+          return;
+        }
+        const target = move(r, c, e.key);
+        if (!target) return;
+        e.preventDefault();
+        const [tr, tc] = target;
+        if (tc >= 0) rows[tr][tc].el.focus();
+      });
+    })
+  );
+}
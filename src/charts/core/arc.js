@@ -0,0 +1,80 @@
+export const TAU = Math.PI * 2;
+
+/**
+ * polar 좌표 변환
+ *
+ * @param {number} cx - 중심 x
+ * @param {number} cy - 중심 y
+ * @param {number} r - 반지름
+ * @param {number} angle - 각도 (라디안, 0 = 3시 방향, 시계방향 증가)
+ * @returns {[number, number]}
+ */
+export const polar = (cx, cy, r, angle) => [
+  cx + Math.cos(angle) * r,
+  cy + Math.sin(angle) * r,
+];
+
+/**
+ * arcPath
+ * 원호(조각) 경로 생성
+ * - rInner가 0이면 중심에서 시작하는 파이 조각, 아니면 도넛 조각
+ * - 한 바퀴 전체는 시작점과 끝점이 겹쳐 그려지지 않으므로 반원 두 개로 나눔
+ *
+ * @param {number} cx - 중심 x
+ * @param {number} cy - 중심 y
+ * @param {number} rOuter - 바깥 반지름
+ * @param {number} rInner - 안쪽 반지름
+ * @param {number} start - 시작 각도 (라디안)
+ * @param {number} end - 끝 각도 (라디안)
+ * @returns {string} SVG path d
+ */
+export function arcPath(cx, cy, rOuter, rInner, start, end) {
+  if (end - start >= TAU - 1e-6) {
+    const mid = start + Math.PI;
+    const [sx, sy] = polar(cx, cy, rOuter, start);
+    const [mx, my] = polar(cx, cy, rOuter, mid);
+    const outer = [
+      `M ${sx} ${sy}`,
+      `A ${rOuter} ${rOuter} 0 1 1 ${mx} ${my}`,
+      `A ${rOuter} ${rOuter} 0 1 1 ${sx} ${sy}`,
+      "Z",
+    ];
+    if (rInner <= 0) return outer.join(" ");
+
+    // 안쪽 원은 반대 방향으로 그려 구멍을 남김 (nonzero)
+    const [isx, isy] = polar(cx, cy, rInner, start);
+    const [imx, imy] = polar(cx, cy, rInner, mid);
+    return [
+      ...outer,
+      `M ${isx} ${isy}`,
+      `A ${rInner} ${rInner} 0 1 0 ${imx} ${imy}`,
+      `A ${rInner} ${rInner} 0 1 0 ${isx} ${isy}`,
+      "Z",
+    ].join(" ");
+  }
+
+  const largeArc = end - start > Math.PI ? 1 : 0;
+  const [sx, sy] = polar(cx, cy, rOuter, start);
+  const [ex, ey] = polar(cx, cy, rOuter, end);
+
+  if (rInner <= 0) {
+    // 파이 차트 (중심에서 시작)
+    return [
+      `M ${cx} ${cy}`,
+      `L ${sx} ${sy}`,
+      `A ${rOuter} ${rOuter} 0 ${largeArc} 1 ${ex} ${ey}`,
+      "Z",
+    ].join(" ");
+  } else {
+    // 도넛 차트
+    const [isx, isy] = polar(cx, cy, rInner, end);
+    const [iex, iey] = polar(cx, cy, rInner, start);
+    return [
+      `M ${sx} ${sy}`,
+      `A ${rOuter} ${rOuter} 0 ${largeArc} 1 ${ex} ${ey}`,
+      `L ${isx} ${isy}`,
+      `A ${rInner} ${rInner} 0 ${largeArc} 0 ${iex} ${iey}`,
+      "Z",
+    ].join(" ");
+  }
+}
@@ -0,0 +1,106 @@
+import { tickStep, makeTicks } from "./ticks.js";
+
+/**
+ * 구간(bin) 설정
+ * - 'sturges'          ⌈log₂n⌉ + 1 개 (기본, 정규분포에 가까운 데이터)
+ * - 'fd'               Freedman–Diaconis: 폭 = 2·IQR / ∛n (이상치에 강함)
+ * - number             목표 구간 수
+ * - { width: number }  고정 구간 폭
+ * - number[]           경계값 직접 지정 (범위 밖 값은 제외)
+ *
+ * 자동·개수 지정은 1/2/5×10ⁿ 폭으로 맞춰 경계가 보기 좋은 값이 됨
+ *
+ * @typedef {'sturges' | 'fd' | number | { width: number } | number[]} BinsOpt
+ */
+
+/**
+ * @typedef {Object} Bin
+ * @property {number} x0 - 시작 경계 (포함)
+ * @property {number} x1 - 끝 경계 (미포함, 마지막 구간은 포함)
+ * @property {number} count - 구간에 속한 값 개수
+ */
+
+/**
+ * quantile
+ * 정렬된 배열의 p 분위수 (선형 보간)
+ *
+ * @param {number[]} sorted - 오름차순 정렬된 값
+ * @param {number} p - 0~1
+ * @returns {number}
+ */
+export function quantile(sorted, p) {
+  if (!sorted.length) return NaN;
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * 자동 구간 수
+ */
+function autoCount(sorted, rule) {
+  const n = sorted.length;
+  const sturges = Math.ceil(Math.log2(n) + 1);
+  if (rule !== "fd") return sturges;
+
+  const iqr = quantile(sorted, 0.75) - quantile(sorted, 0.25);
+  const span = sorted[n - 1] - sorted[0];
+  if (!iqr || !span) return sturges;
+  return Math.max(1, Math.ceil(span / (2 * iqr * Math.cbrt(n))));
+}
+
+/**
+ * 경계값 생성
+ */
+function thresholdsOf(sorted, bins) {
+  if (Array.isArray(bins)) {
+    return Array.from(new Set(bins)).sort((a, b) => a - b);
+  }
+
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width =
+    bins && typeof bins === "object" && bins.width > 0
+      ? bins.width
+      : tickStep(
+          min,
+          max,
+          typeof bins === "number" && bins > 0 ? bins : autoCount(sorted, bins)
+        );
+
+  const lo = Math.floor(min / width) * width;
+  let hi = Math.ceil(max / width) * width;
+  if (hi <= lo) hi = lo + width;
+  return makeTicks(lo, hi, { step: width });
+}
+
+/**
+ * computeBins
+ * 원시 값 배열을 구간별 개수로 집계
+ *
+ * @param {number[]} values - 원시 값 (유한수가 아닌 값은 제외)
+ * @param {BinsOpt} [bins='sturges'] - 구간 설정
+ * @returns {Bin[]} 연속된 구간 배열
+ */
+export function computeBins(values, bins = "sturges") {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length && !Array.isArray(bins)) return [];
+
+  const thresholds = thresholdsOf(sorted, bins);
+  const result = [];
+  for (let i = 0; i < thresholds.length - 1; i++) {
+    result.push({ x0: thresholds[i], x1: thresholds[i + 1], count: 0 });
+  }
+  if (!result.length) return result;
+
+  // 정렬된 값을 한 번 훑으며 구간에 배정
+  const last = result.length - 1;
+  let bi = 0;
+  sorted.forEach((v) => {
+    if (v < result[0].x0 || v > result[last].x1) return;
+    while (bi < last && v >= result[bi].x1) bi++;
+    result[bi].count++;
+  });
+  return result;
+}
@@ -29,3 +29,113 @@ export function createColorScale(
   });
   return (key) => map.get(key) ?? palette[0];
 }
+
+/** 연속 색상 스케일 기본 색상 (순차: 옅은 색 → 진한 색) */
+export const SEQUENTIAL_COLORS = ["#f1f6fb", "#73a7d9", "#1f4e85"];
+
+/** 연속 색상 스케일 기본 색상 (발산: 음수 → 중간값 → 양수) */
+export const DIVERGING_COLORS = ["#2f6eb5", "#f7f7f7", "#d9534f"];
+
+/**
+ * @typedef {Object} ContinuousColorOpts
+ * @property {'sequential' | 'diverging'} [type='sequential'] - 순차(min→max) / 발산(min→mid→max)
+ * @property {number} [min] - 도메인 최소값 (생략 시 데이터 최소값)
+ * @property {number} [max] - 도메인 최대값 (생략 시 데이터 최대값)
+ * @property {number} [mid=0] - 발산 스케일의 중간값
+ * @property {string[]} [colors] - 색상 정지점 (#rrggbb, 2개 이상 — 도메인에 고르게 배치)
+ */
+
+/** #rgb / #rrggbb → [r, g, b] */
+const parseHex = (hex) => {
+  const h = hex.replace("#", "");
+  const full =
+    h.length === 3
+      ? h
+          .split("")
+          .map((c) => c + c)
+          .join("")
+      : h;
+  const n = parseInt(full, 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+};
+
+/** [r, g, b] → #rrggbb */
+const toHex = (rgb) =>
+  `#${rgb.map((c) => Math.round(c).toString(16).padStart(2, "0")).join("")}`;
+
+/**
+ * interpolateColors
+ * 색상 정지점 사이를 RGB 선형 보간
+ *
+ * @param {string[]} colors - 색상 정지점 (#rrggbb)
+ * @returns {(t: number) => string} 0~1 위치를 받아 색상을 반환하는 함수
+ */
+export function interpolateColors(colors) {
+  const stops = colors.map(parseHex);
+  const last = stops.length - 1;
+  return (t) => {
+    if (last < 1) return toHex(stops[0] ?? [0, 0, 0]);
+    const pos = Math.min(Math.max(Number.isFinite(t) ? t : 0, 0), 1) * last;
+    const i = Math.min(Math.floor(pos), last - 1);
+    const f = pos - i;
+    return toHex(stops[i].map((c, k) => c + (stops[i + 1][k] - c) * f));
+  };
+}
+
+/**
+ * createContinuousColorScale
+ * 수치 값을 색상으로 매핑하는 순차 / 발산 색상 스케일 생성
+ * - 순차: min → max를 색상 정지점에 고르게 대응
+ * - 발산: min → mid, mid → max를 각각 절반씩 대응 (mid가 가운데 색)
+ *
+ * @param {number} dataMin - 데이터 최소값 (opts.min이 우선)
+ * @param {number} dataMax - 데이터 최대값 (opts.max가 우선)
+ * @param {ContinuousColorOpts} [opts]
+ * @returns {((v: number) => string) & { min: number, max: number, mid?: number }} 값을 받아 색상을 반환하는 함수 (도메인 정보 포함)
+ */
+export function createContinuousColorScale(dataMin, dataMax, opts = {}) {
+  const isDiverging = opts.type === "diverging";
+  const colors =
+    opts.colors?.length >= 2
+      ? opts.colors
+      : isDiverging
+      ? DIVERGING_COLORS
+      : SEQUENTIAL_COLORS;
+  const interpolate = interpolateColors(colors);
+
+  const mid = opts.mid ?? 0;
+  let min = opts.min ?? dataMin;
+  let max = opts.max ?? dataMax;
+  // 발산 스케일은 mid를 항상 포함
+  if (isDiverging) {
+    min = Math.min(min, mid);
+    max = Math.max(max, mid);
+  }
+
+  const position = isDiverging
+    ? (v) => {
+        if (v < mid) return min < mid ? ((v - min) / (mid - min)) * 0.5 : 0.5;
+        return max > mid ? 0.5 + ((v - mid) / (max - mid)) * 0.5 : 0.5;
+      }
+    : (v) => (max > min ? (v - min) / (max - min) : 0.5);
+
+  const scale = (v) => interpolate(position(v));
+  scale.min = min;
+  scale.max = max;
+  if (isDiverging) scale.mid = mid;
+  return scale;
+}
+
+/**
+ * contrastTextColor
+ * 배경색 위에서 읽기 좋은 글자색 (밝은 배경 → 진한 글자, 어두운 배경 → 흰 글자)
+ *
+ * @param {string} background - 배경색 (#rrggbb)
+ * @returns {string}
+ */
+export function contrastTextColor(background) {
+  const [r, g, b] = parseHex(background);
+  // 상대 휘도 근사 (ITU-R BT.601)
+  const luma = (r * 299 + g * 587 + b * 114) / 1000;
+  return luma > 150 ? "#333" : "#fff";
+}
@@ -0,0 +1,197 @@
+/**
+ * 선 보간 방식
+ * - 'linear'      직선 연결 (기본)
+ * - 'monotone'    단조 3차 곡선 (데이터 범위를 넘어가지 않음, X 단조 증가 가정)
+ * - 'cardinal'    카디널 스플라인 (점을 모두 지나는 부드러운 곡선, 약간의 오버슈트)
+ * - 'step'        두 점의 중간에서 계단
+ * - 'stepBefore'  다음 값으로 먼저 수직 이동 후 수평
+ * - 'stepAfter'   현재 값을 유지하다 다음 점에서 수직 이동
+ *
+ * @typedef {'linear' | 'monotone' | 'cardinal' | 'step' | 'stepBefore' | 'stepAfter'} CurveType
+ */
+
+/** 역방향으로 그릴 때 모양이 같아지는 보간 (계단은 앞/뒤가 바뀜) */
+const REVERSED = {
+  stepBefore: "stepAfter",
+  stepAfter: "stepBefore",
+};
+
+/**
+ * 단조 보간 접선 (Steffen 방식 — 구간 안에서 극값이 생기지 않음)
+ */
+function monotoneTangents(points) {
+  const n = points.length;
+  const h = [];
+  const s = [];
+  for (let i = 0; i < n - 1; i++) {
+    h[i] = points[i + 1][0] - points[i][0];
+    s[i] = h[i] ? (points[i + 1][1] - points[i][1]) / h[i] : 0;
+  }
+
+  const m = new Array(n);
+  m[0] = s[0];
+  m[n - 1] = s[n - 2];
+  for (let i = 1; i < n - 1; i++) {
+    if (s[i - 1] * s[i] <= 0) {
+      m[i] = 0;
+    } else {
+      const p = (s[i - 1] * h[i] + s[i] * h[i - 1]) / (h[i - 1] + h[i]);
+      m[i] =
+        (Math.sign(s[i - 1]) + Math.sign(s[i])) *
+        Math.min(Math.abs(s[i - 1]), Math.abs(s[i]), 0.5 * Math.abs(p));
+    }
+  }
+  return m;
+}
+
+/**
+ * 첫 점 이후의 경로 명령 (L / C)
+ */
+function segments(points, curve) {
+  const n = points.length;
+  const out = [];
+
+  switch (curve) {
+    case "monotone": {
+      const m = monotoneTangents(points);
+      for (let i = 0; i < n - 1; i++) {
+        const [x0, y0] = points[i];
+        const [x1, y1] = points[i + 1];
+        const dx = (x1 - x0) / 3;
+        out.push(
+          `C ${x0 + dx} ${y0 + m[i] * dx} ${x1 - dx} ${
+            y1 - m[i + 1] * dx
+          } ${x1} ${y1}`
+        );
+      }
+      break;
+    }
+    case "cardinal": {
+      // tension 0 (양 끝은 끝점을 복제)
+      const k = 1 / 6;
+      for (let i = 0; i < n - 1; i++) {
+        const p0 = points[Math.max(0, i - 1)];
+        const p1 = points[i];
+        const p2 = points[i + 1];
+        const p3 = points[Math.min(n - 1, i + 2)];
+        out.push(
+          `C ${p1[0] + k * (p2[0] - p0[0])} ${p1[1] + k * (p2[1] - p0[1])} ${
+            p2[0] - k * (p3[0] - p1[0])
+          } ${p2[1] - k * (p3[1] - p1[1])} ${p2[0]} ${p2[1]}`
+        );
+      }
+      break;
+    }
+    case "step":
+      for (let i = 0; i < n - 1; i++) {
+        const [x0, y0] = points[i];
+        const [x1, y1] = points[i + 1];
+        const xm = (x0 + x1) / 2;
+        out.push(`L ${xm} ${y0} L ${xm} ${y1} L ${x1} ${y1}`);
+      }
+      break;
+    case "stepBefore":
+      for (let i = 0; i < n - 1; i++) {
+        const [x0] = points[i];
+        const [x1, y1] = points[i + 1];
+        out.push(`L ${x0} ${y1} L ${x1} ${y1}`);
+      }
+      break;
+    case "stepAfter":
+      for (let i = 0; i < n - 1; i++) {
+        const [, y0] = points[i];
+        const [x1, y1] = points[i + 1];
+        out.push(`L ${x1} ${y0} L ${x1} ${y1}`);
+      }
+      break;
+    default:
+      for (let i = 1; i < n; i++) out.push(`L ${points[i][0]} ${points[i][1]}`);
+  }
+
+  return out.join(" ");
+}
+
+/**
+ * curvePath
+ * 점 배열을 보간 방식에 맞는 SVG 경로 문자열로 변환
+ *
+ * @param {[number, number][]} points - [x, y] 좌표 배열
+ * @param {CurveType} [curve='linear'] - 보간 방식
+ * @param {{ move?: boolean }} [options] - move=false면 M 대신 L로 시작 (경로 이어 붙이기용)
+ * @returns {string} SVG path d (점이 없으면 빈 문자열)
+ */
+export function curvePath(points, curve = "linear", { move = true } = {}) {
+  if (!points.length) return "";
+  const [x, y] = points[0];
+  const head = `${move ? "M" : "L"} ${x} ${y}`;
+  return points.length > 1 ? `${head} ${segments(points, curve)}` : head;
+}
+
+/**
+ * areaPath
+ * 위/아래 경계로 닫힌 영역 경로 생성 (아래 경계는 역방향으로 같은 보간 적용)
+ *
+ * @param {[number, number][]} top - 위 경계 좌표 (왼쪽 → 오른쪽)
+ * @param {[number, number][]} bottom - 아래 경계 좌표 (왼쪽 → 오른쪽)
+ * @param {CurveType} [curve='linear'] - 보간 방식
+ * @returns {string} SVG path d
+ */
+export function areaPath(top, bottom, curve = "linear") {
+  if (!top.length) return "";
+  const reversed = bottom.slice().reverse();
+  return `${curvePath(top, curve)} ${curvePath(
+    reversed,
+    REVERSED[curve] ?? curve,
+    { move: false }
+  )} Z`;
+}
+
+/**
+ * 결측값 처리 방식
+ * - 'gap'      결측 지점에서 선·영역을 끊음 (기본)
+ * - 'connect'  결측 지점을 건너뛰고 앞뒤 점을 이음
+ * - 'zero'     결측값을 0으로 간주
+ *
+ * @typedef {'gap' | 'connect' | 'zero'} MissingMode
+ */
+
+/**
+ * isMissing
+ * 결측값 여부 (null / undefined / NaN)
+ *
+ * @param {*} v - 값
+ * @returns {boolean}
+ */
+export function isMissing(v) {
+  return v == null || Number.isNaN(v);
+}
+
+/**
+ * splitSegments
+ * 결측 처리 방식에 맞게 점 배열을 이어 그릴 구간들로 나눔
+ *
+ * @template T
+ * @param {T[]} points - 점 배열
+ * @param {(p: T) => boolean} isGap - 결측 점 판별 함수
+ * @param {MissingMode} [missing='gap'] - 결측값 처리 방식
+ * @returns {T[][]} 연속 구간 배열 (빈 구간 제외)
+ */
+export function splitSegments(points, isGap, missing = "gap") {
+  if (missing !== "gap") {
+    const present = points.filter((p) => !isGap(p));
+    return present.length ? [present] : [];
+  }
+
+  const result = [];
+  let current = [];
+  points.forEach((p) => {
+    if (isGap(p)) {
+      if (current.length) result.push(current);
+      current = [];
+    } else {
+      current.push(p);
+    }
+  });
+  if (current.length) result.push(current);
+  return result;
+}
@@ -0,0 +1,161 @@
+/**
+ * 값 포맷 설정
+ * - 'number'    로케일 천 단위 구분 (기본, 12,000)
+ * - 'compact'   축약 표기 (ko: 1.2만 / en: 1.2K)
+ * - 'currency'  통화 (₩12,000 / $12,000)
+ * - 'percent'   비율 (0.25 → 25%)
+ * - 'fixed'     소수 자릿수 고정 (digits, 기본 2)
+ * - 'si'        SI 접두어 (1.2k, 3.4M, 5µ)
+ * - { type, digits, currency, unit }  세부 설정
+ * - (v) => string                      직접 지정
+ *
+ * @typedef {'number' | 'compact' | 'currency' | 'percent' | 'fixed' | 'si'} ValueFormatType
+ *
+ * @typedef {Object} ValueFormatOpts
+ * @property {ValueFormatType} [type='number']
+ * @property {number} [digits] - 소수 자릿수 (fixed는 고정, 그 외는 최대)
+ * @property {string} [currency] - 통화 코드 (예: 'KRW', 'USD', 생략 시 로케일로 추정)
+ * @property {string} [unit] - 값 뒤에 붙일 단위 (si에서 'W' → 1.2kW)
+ *
+ * @typedef {ValueFormatType | ValueFormatOpts | ((v: number) => string | number)} ValueFormat
+ */
+
+/** 로케일 언어/지역별 기본 통화 */
+const DEFAULT_CURRENCY = {
+  ko: "KRW",
+  ja: "JPY",
+  zh: "CNY",
+  en: "USD",
+  "en-GB": "GBP",
+  de: "EUR",
+  fr: "EUR",
+  es: "EUR",
+  it: "EUR",
+  nl: "EUR",
+};
+
+/** SI 접두어 (10^-24 ~ 10^24, 3자리 단위) */
+const SI_PREFIXES = [
+  "y",
+  "z",
+  "a",
+  "f",
+  "p",
+  "n",
+  "µ",
+  "m",
+  "",
+  "k",
+  "M",
+  "G",
+  "T",
+  "P",
+  "E",
+  "Z",
+  "Y",
+];
+
+/**
+ * 로케일에 맞는 기본 통화 코드
+ */
+function currencyOf(locale) {
+  const tag =
+    (Array.isArray(locale) ? locale[0] : locale) ??
+    new Intl.NumberFormat().resolvedOptions().locale;
+  const [lang, region] = tag.split("-");
+  return (
+    DEFAULT_CURRENCY[`${lang}-${region}`] ?? DEFAULT_CURRENCY[lang] ?? "KRW"
+  );
+}
+
+/**
+ * SI 접두어 포맷 함수 생성
+ */
+function siFormatter(locale, digits = 1, unit = "") {
+  const nf = new Intl.NumberFormat(locale, { maximumFractionDigits: digits });
+  return (v) => {
+    if (v === 0 || !Number.isFinite(v)) return `${nf.format(v)}${unit}`;
+    const exp = Math.floor(Math.log10(Math.abs(v)) / 3);
+    const idx = Math.max(0, Math.min(SI_PREFIXES.length - 1, exp + 8));
+    const scaled = v / Math.pow(1000, idx - 8);
+    return `${nf.format(scaled)}${SI_PREFIXES[idx]}${unit}`;
+  };
+}
+
+/**
+ * createFormatter
+ * 값 포맷 설정으로 숫자 포맷 함수 생성 (Intl.NumberFormat 기반)
+ *
+ * @param {ValueFormat} [valueFormat='number'] - 포맷 프리셋 또는 설정
+ * @param {string | string[]} [locale] - 로케일 (없으면 브라우저 기본값)
+ * @returns {(v: number) => string} 포맷 함수
+ */
+export function createFormatter(valueFormat = "number", locale) {
+  if (typeof valueFormat === "function") {
+    return (v) => String(valueFormat(v));
+  }
+
+  const {
+    type = "number",
+    digits,
+    currency,
+    unit = "",
+  } = typeof valueFormat === "string" ? { type: valueFormat } : valueFormat;
+
+  if (type === "si") return siFormatter(locale, digits, unit);
+
+  let options;
+  switch (type) {
+    case "compact":
+      options = {
+        notation: "compact",
+        maximumFractionDigits: digits ?? 1,
+      };
+      break;
+    case "currency":
+      options = {
+        style: "currency",
+        currency: currency ?? currencyOf(locale),
+        ...(digits != null
+          ? { minimumFractionDigits: digits, maximumFractionDigits: digits }
+          : {}),
+      };
+      break;
+    case "percent":
+      options = { style: "percent", maximumFractionDigits: digits ?? 1 };
+      break;
+    case "fixed":
+      options = {
+        minimumFractionDigits: digits ?? 2,
+        maximumFractionDigits: digits ?? 2,
+      };
+      break;
+    default:
+      options = digits != null ? { maximumFractionDigits: digits } : {};
+  }
+
+  const nf = new Intl.NumberFormat(locale, options);
+  return (v) => `${nf.format(v)}${unit}`;
+}
+
+/**
+ * resolveValueFormat
+ * 값 축 눈금과 툴팁·데이터 라벨에 함께 쓸 포맷 함수 결정
+ * (축의 formatTick > 차트의 valueFormat/locale > 기본값 순)
+ *
+ * @param {{ formatTick?: (v: number) => string | number }} [axis] - 값 축 설정
+ * @param {ValueFormat} [valueFormat] - 차트 값 포맷
+ * @param {string | string[]} [locale] - 로케일
+ * @returns {{ tick: ((v: number) => string | number) | undefined, value: (v: number) => string | number }}
+ *   tick: 눈금 포맷 (undefined면 축 기본 포맷), value: 툴팁·라벨 포맷
+ */
+export function resolveValueFormat(axis, valueFormat, locale) {
+  if (axis?.formatTick) {
+    return { tick: axis.formatTick, value: axis.formatTick };
+  }
+  const format = createFormatter(valueFormat, locale);
+  return {
+    tick: valueFormat != null || locale != null ? format : undefined,
+    value: format,
+  };
+}
@@ -43,3 +43,103 @@ export const bandScale = (labels, rMin, rMax, gapRatio = 0.2) => {
     gapWidth,
   };
 };
+
+// 날짜만 있는 ISO 문자열 (예: "2025-01-02")
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * toTime
+ * Date / ISO 문자열 / 타임스탬프를 밀리초 타임스탬프로 변환
+ * - 날짜만 있는 문자열은 UTC가 아닌 로컬 자정으로 (눈금·라벨이 로컬 시간 기준)
+ *
+ * @param {Date | string | number} v - 날짜 값
+ * @returns {number} 타임스탬프 (변환 불가 시 NaN)
+ */
+export const toTime = (v) => {
+  if (v instanceof Date) return v.getTime();
+  if (typeof v === "string") {
+    const m = DATE_ONLY.exec(v);
+    if (!m) return Date.parse(v);
+    const d = new Date(2000, 0, 1);
+    d.setFullYear(m[1], m[2] - 1, m[3]);
+    // 존재하지 않는 날짜(예: 2025-02-30)는 넘겨 계산하지 않고 변환 불가로
+    return d.getMonth() === m[2] - 1 && d.getDate() === +m[3]
+      ? d.getTime()
+      : NaN;
+  }
+  return Number(v);
+};
+
+/**
+ * timeScale
+ * 날짜 값(dMin~dMax)을 화면 좌표(rMin~rMax)로 시간에 비례하여 변환
+ *
+ * @param {Date | string | number} dMin - 도메인 시작 날짜
+ * @param {Date | string | number} dMax - 도메인 끝 날짜
+ * @param {number} rMin - 픽셀 좌표 최소값
+ * @param {number} rMax - 픽셀 좌표 최대값
+ * @returns {(v: Date | string | number) => number} 날짜를 좌표로 변환하는 함수
+ */
+export const timeScale = (dMin, dMax, rMin, rMax) => {
+  const scale = linearScale(toTime(dMin), toTime(dMax), rMin, rMax);
+  return (v) => scale(toTime(v));
+};
+
+/**
+ * logScale
+ * 로그 변환 후 선형 매핑 (0 이하 값은 dMin으로 고정)
+ *
+ * @param {number} dMin - 데이터 도메인 최소값 (0보다 커야 함)
+ * @param {number} dMax - 데이터 도메인 최대값
+ * @param {number} rMin - 픽셀 좌표 최소값
+ * @param {number} rMax - 픽셀 좌표 최대값
+ * @returns {(v: number) => number} 데이터 값을 좌표로 변환하는 함수
+ */
+export const logScale = (dMin, dMax, rMin, rMax) => {
+  const scale = linearScale(Math.log10(dMin), Math.log10(dMax), rMin, rMax);
+  return (v) => scale(Math.log10(Math.max(v, dMin)));
+};
+
+/**
+ * symlog 변환: 0 근처는 선형, 큰 값은 로그처럼 동작 (음수·0 허용)
+ */
+export const symlog = (v, constant = 1) =>
+  Math.sign(v) * Math.log1p(Math.abs(v) / constant);
+
+/**
+ * symlogScale
+ * symlog 변환 후 선형 매핑 (0과 음수도 연속적으로 표시)
+ *
+ * @param {number} dMin - 데이터 도메인 최소값
+ * @param {number} dMax - 데이터 도메인 최대값
+ * @param {number} rMin - 픽셀 좌표 최소값
+ * @param {number} rMax - 픽셀 좌표 최대값
+ * @param {number} [constant=1] - 선형 구간 크기
+ * @returns {(v: number) => number} 데이터 값을 좌표로 변환하는 함수
+ */
+export const symlogScale = (dMin, dMax, rMin, rMax, constant = 1) => {
+  const scale = linearScale(
+    symlog(dMin, constant),
+    symlog(dMax, constant),
+    rMin,
+    rMax
+  );
+  return (v) => scale(symlog(v, constant));
+};
+
+/**
+ * makeScale
+ * 값 축 종류에 맞는 스케일 생성
+ *
+ * @param {'linear' | 'log' | 'symlog'} [type='linear'] - 축 종류
+ * @param {number} dMin - 데이터 도메인 최소값
+ * @param {number} dMax - 데이터 도메인 최대값
+ * @param {number} rMin - 픽셀 좌표 최소값
+ * @param {number} rMax - 픽셀 좌표 최대값
+ * @returns {(v: number) => number} 데이터 값을 좌표로 변환하는 함수
+ */
+export const makeScale = (type, dMin, dMax, rMin, rMax) => {
+  if (type === "log") return logScale(dMin, dMax, rMin, rMax);
+  if (type === "symlog") return symlogScale(dMin, dMax, rMin, rMax);
+  return linearScale(dMin, dMax, rMin, rMax);
+};
@@ -0,0 +1,73 @@
+import { quantile } from "./bins.js";
+
+/**
+ * 수염 범위
+ * - 'tukey'   Q1 − 1.5·IQR ~ Q3 + 1.5·IQR 안의 가장 먼 값까지 (밖의 값은 이상치)
+ * - 'minmax'  최소값 ~ 최대값 (이상치 없음)
+ *
+ * @typedef {'tukey' | 'minmax'} WhiskerMode
+ */
+
+/**
+ * @typedef {Object} BoxStats
+ * @property {number} n - 유효 값 개수
+ * @property {number} min - 최소값
+ * @property {number} q1 - 1사분위수
+ * @property {number} median - 중앙값
+ * @property {number} q3 - 3사분위수
+ * @property {number} max - 최대값
+ * @property {number} lower - 아래 수염 끝
+ * @property {number} upper - 위 수염 끝
+ * @property {number[]} outliers - 수염 밖의 값 (오름차순)
+ */
+
+/**
+ * boxStats
+ * 원시 값 배열의 다섯 수 요약과 수염·이상치 계산
+ *
+ * @param {number[]} values - 원시 값 (유한수가 아닌 값은 제외)
+ * @param {WhiskerMode} [whisker='tukey'] - 수염 범위
+ * @returns {BoxStats | null} 유효 값이 없으면 null
+ */
+export function boxStats(values, whisker = "tukey") {
+  const sorted = (values ?? []).filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+
+  const n = sorted.length;
+  const q1 = quantile(sorted, 0.25);
+  const median = quantile(sorted, 0.5);
+  const q3 = quantile(sorted, 0.75);
+  const min = sorted[0];
+  const max = sorted[n - 1];
+
+  if (whisker === "minmax") {
+    return {
+      n,
+      min,
+      q1,
+      median,
+      q3,
+      max,
+      lower: min,
+      upper: max,
+      outliers: [],
+    };
+  }
+
+  // 울타리 안의 가장 먼 실제 값까지 수염 연장
+  const iqr = q3 - q1;
+  const lowFence = q1 - 1.5 * iqr;
+  const highFence = q3 + 1.5 * iqr;
+  const inside = sorted.filter((v) => v >= lowFence && v <= highFence);
+  return {
+    n,
+    min,
+    q1,
+    median,
+    q3,
+    max,
+    lower: inside.length ? inside[0] : q1,
+    upper: inside.length ? inside[inside.length - 1] : q3,
+    outliers: sorted.filter((v) => v < lowFence || v > highFence),
+  };
+}
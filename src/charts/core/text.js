@@ -0,0 +1,61 @@
+let measureCtx = null;
+
+/**
+ * 캔버스 2D 컨텍스트 (측정용, 없으면 null)
+ */
+function getMeasureContext() {
+  if (measureCtx !== null) return measureCtx || null;
+  try {
+    measureCtx = document.createElement("canvas").getContext("2d") || false;
+  } catch {
+    measureCtx = false;
+  }
+  return measureCtx || null;
+}
+
+/**
+ * measureText
+ * 텍스트 픽셀 너비 측정 (캔버스가 없으면 글자 종류로 추정)
+ *
+ * @param {string} text - 측정할 텍스트
+ * @param {number} [fontSize=12] - 폰트 크기
+ * @returns {number} 픽셀 너비
+ */
+export function measureText(text, fontSize = 12) {
+  const str = String(text ?? "");
+  const ctx = getMeasureContext();
+  if (ctx) {
+    const family = getComputedStyle(document.body).fontFamily || "sans-serif";
+    ctx.font = `${fontSize}px ${family}`;
+    return ctx.measureText(str).width;
+  }
+
+  // 한글·CJK는 전각, 그 외는 반각으로 추정
+  let width = 0;
+  for (const ch of str) {
+    width += ch.charCodeAt(0) >= 0x1100 ? fontSize : fontSize * 0.6;
+  }
+  return width;
+}
+
+/**
+ * truncateText
+ * 최대 너비에 맞게 말줄임(…) 처리
+ *
+ * @param {string} text - 원본 텍스트
+ * @param {number} maxWidth - 최대 픽셀 너비
+ * @param {number} [fontSize=12] - 폰트 크기
+ * @returns {string} 잘린 텍스트 (맞으면 원본)
+ */
+export function truncateText(text, maxWidth, fontSize = 12) {
+  const str = String(text ?? "");
+  if (measureText(str, fontSize) <= maxWidth) return str;
+
+  const chars = Array.from(str);
+  while (chars.length > 1) {
+    chars.pop();
+    const candidate = `${chars.join("").trimEnd()}…`;
+    if (measureText(candidate, fontSize) <= maxWidth) return candidate;
+  }
+  return "…";
+}
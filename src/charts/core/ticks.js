@@ -3,13 +3,93 @@
  * - number[]           직접 지정 (예: [0, 25, 50, 75, 100])
  * - { step: number }   간격 지정 (예: { step: 20 } → 0, 20, 40, 60, ...)
  * - { count: number }  개수 지정 (예: { count: 5 } → 구간을 5등분하여 6개 눈금 생성)
+ * - 생략               자동 (1/2/5×10ⁿ 간격, min/max 생략 시 도메인도 확장)
  *
  * @typedef {import('./types').YTicks} YTicks
  */
 
+/** 자동 눈금 생성 시 목표 구간 수 */
+export const DEFAULT_TICK_COUNT = 5;
+
+// 1/2/5 단계 전환 기준 (√50, √10, √2)
+const E10 = Math.sqrt(50);
+const E5 = Math.sqrt(10);
+const E2 = Math.sqrt(2);
+
+/**
+ * 간격에 맞는 소수점 자릿수 (부동소수 오차 제거용)
+ */
+const precisionOf = (step) =>
+  Math.max(0, -Math.floor(Math.log10(Math.abs(step))) + 1);
+
+const roundTo = (v, digits) => Number(v.toFixed(Math.min(digits, 20)));
+
+/**
+ * tickStep
+ * 구간을 count개 내외로 나누는 1/2/5×10ⁿ 눈금 간격 계산
+ *
+ * @param {number} min - 최소값
+ * @param {number} max - 최대값
+ * @param {number} [count=5] - 목표 구간 수
+ * @returns {number} 눈금 간격
+ */
+export function tickStep(min, max, count = DEFAULT_TICK_COUNT) {
+  const span = Math.abs(max - min);
+  if (!Number.isFinite(span) || span === 0) return 1;
+
+  const raw = span / Math.max(1, count);
+  const base = 10 ** Math.floor(Math.log10(raw));
+  const error = raw / base;
+
+  if (error >= E10) return base * 10;
+  if (error >= E5) return base * 5;
+  if (error >= E2) return base * 2;
+  return base;
+}
+
+/**
+ * niceDomain
+ * 도메인을 눈금 간격의 배수인 "보기 좋은" 경계로 확장
+ *
+ * @param {number} min - 데이터 최소값
+ * @param {number} max - 데이터 최대값
+ * @param {number} [count=5] - 목표 구간 수
+ * @returns {[number, number]} 확장된 [최소, 최대]
+ */
+export function niceDomain(min, max, count = DEFAULT_TICK_COUNT) {
+  let lo = Math.min(min, max);
+  let hi = Math.max(min, max);
+  if (lo === hi) hi = lo + 1;
+
+  // 경계가 바뀌면 간격도 바뀔 수 있으므로 안정될 때까지 반복
+  let prevStep;
+  for (let i = 0; i < 10; i++) {
+    const step = tickStep(lo, hi, count);
+    if (step === prevStep) break;
+    const digits = precisionOf(step);
+    lo = roundTo(Math.floor(lo / step) * step, digits);
+    hi = roundTo(Math.ceil(hi / step) * step, digits);
+    prevStep = step;
+  }
+  return [lo, hi];
+}
+
+/**
+ * [yMin, yMax] 안에 있는 step의 배수 목록
+ */
+function stepTicks(yMin, yMax, step) {
+  const digits = precisionOf(step);
+  const start = Math.ceil(yMin / step - 1e-9);
+  const end = Math.floor(yMax / step + 1e-9);
+  const arr = [];
+  for (let i = start; i <= end; i++) arr.push(roundTo(i * step, digits));
+  return arr;
+}
+
 /**
  * makeTicks
  * Y축 눈금 생성 유틸
+ * - ticks 설정이 없으면 1/2/5×10ⁿ 간격으로 자동 생성
  *
  * @param {number} yMin - Y축 최소값
  * @param {number} yMax - Y축 최대값
@@ -18,16 +98,13 @@
  */
 export function makeTicks(yMin, yMax, ticks) {
   if (!ticks) {
-    const mid = Math.round((yMin + yMax) / 2);
-    return [yMin, mid, yMax];
+    const arr = stepTicks(yMin, yMax, tickStep(yMin, yMax));
+    return arr.length ? arr : [yMin, yMax];
   }
   if (Array.isArray(ticks)) return ticks;
 
   if ("step" in ticks) {
-    const step = Math.max(1, ticks.step);
-    const start = Math.ceil(yMin / step) * step;
-    const arr = [];
-    for (let v = start; v <= yMax; v += step) arr.push(v);
+    const arr = stepTicks(yMin, yMax, ticks.step > 0 ? ticks.step : 1);
     if (arr[0] !== yMin) arr.unshift(yMin);
     if (arr[arr.length - 1] !== yMax) arr.push(yMax);
     return arr;
@@ -35,13 +112,331 @@ export function makeTicks(yMin, yMax, ticks) {
 
   if ("count" in ticks) {
     const count = Math.max(1, Math.floor(ticks.count));
+    const digits = precisionOf((yMax - yMin) / count || 1);
     const arr = [];
     for (let i = 0; i <= count; i++) {
       const t = yMin + ((yMax - yMin) * i) / count;
-      arr.push(Math.round(t));
+      arr.push(roundTo(t, digits));
     }
     return arr;
   }
 
   return [yMin, yMax];
 }
+
+// 0 이하 값 경고를 이미 낸 축 설정 (차트마다 한 번씩 경고)
+const warnedLogAxes = new WeakSet();
+
+const decade = (v) => Number((10 ** v).toPrecision(12));
+
+/**
+ * makeLogTicks
+ * 로그 축 눈금 생성 (10의 거듭제곱, 구간이 좁으면 2·5배 보조 눈금 포함)
+ *
+ * @param {number} min - 최소값 (0보다 커야 함)
+ * @param {number} max - 최대값
+ * @returns {number[]} 눈금 값 배열
+ */
+export function makeLogTicks(min, max) {
+  const lo = Math.floor(Math.log10(min));
+  const hi = Math.ceil(Math.log10(max));
+  const decades = hi - lo;
+  const multipliers = decades <= 2 ? [1, 2, 5] : [1];
+  // 10 decade를 넘으면 decade도 건너뛰기
+  const every = Math.max(1, Math.ceil(decades / 10));
+
+  const arr = [];
+  for (let e = lo; e <= hi; e++) {
+    if ((e - lo) % every !== 0) continue;
+    multipliers.forEach((m) => {
+      const v = Number((m * 10 ** e).toPrecision(12));
+      if (v >= min * (1 - 1e-9) && v <= max * (1 + 1e-9)) arr.push(v);
+    });
+  }
+  return arr.length >= 2 ? arr : [min, max];
+}
+
+/**
+ * makeSymlogTicks
+ * symlog 축 눈금 생성 (0과 ±10의 거듭제곱)
+ *
+ * @param {number} min - 최소값
+ * @param {number} max - 최대값
+ * @returns {number[]} 눈금 값 배열
+ */
+export function makeSymlogTicks(min, max) {
+  const positives = [];
+  for (let e = 0; decade(e) <= max; e++) positives.push(decade(e));
+  const negatives = [];
+  for (let e = 0; -decade(e) >= min; e++) negatives.unshift(-decade(e));
+
+  const zero = min <= 0 && max >= 0 ? [0] : [];
+  let arr = [...negatives, ...zero, ...positives];
+
+  // 눈금이 많으면 가장 큰 decade부터 하나씩 건너뛰기
+  if (arr.length > 9) {
+    const expOf = (v) => Math.round(Math.log10(Math.abs(v)));
+    const top = Math.max(...arr.filter((v) => v !== 0).map(expOf));
+    arr = arr.filter((v) => v === 0 || (top - expOf(v)) % 2 === 0);
+  }
+  return arr.length >= 3 ? arr : makeTicks(min, max);
+}
+
+/**
+ * 로그 축 도메인: 생략된 경계는 10의 거듭제곱으로 확장, 0 이하 값은 경고 후 고정
+ */
+function resolveLogAxis(dataMax, axis, values = []) {
+  const hasMin = Number.isFinite(axis?.min) && axis.min > 0;
+  const hasMax = Number.isFinite(axis?.max) && axis.max > 0;
+  const positives = values.filter((v) => v > 0);
+  const minPositive = positives.length ? Math.min(...positives) : NaN;
+
+  const hasNonPositive =
+    positives.length < values.filter(Number.isFinite).length;
+  if (hasNonPositive && !warnedLogAxes.has(axis)) {
+    warnedLogAxes.add(axis);
+    console.warn(
+      "[vanilla-charts] 로그 축은 0 이하 값을 표시할 수 없어 축 최소값으로 고정합니다."
+    );
+  }
+
+  const lowest = Number.isFinite(minPositive) ? minPositive : 1;
+  const highest = dataMax > 0 ? dataMax : lowest;
+
+  const min = hasMin ? axis.min : decade(Math.floor(Math.log10(lowest)));
+  let max = hasMax ? axis.max : decade(Math.ceil(Math.log10(highest)));
+  if (max <= min) max = min * 10;
+
+  const ticks = Array.isArray(axis?.ticks)
+    ? axis.ticks
+    : makeLogTicks(min, max);
+  return { min, max, ticks };
+}
+
+/**
+ * symlog 축 도메인: 생략된 경계는 부호를 유지한 채 10의 거듭제곱으로 확장
+ */
+function resolveSymlogAxis(dataMin, dataMax, axis) {
+  const niceBound = (v, round) =>
+    v === 0 ? 0 : Math.sign(v) * decade(round(Math.log10(Math.abs(v))));
+
+  const min = Number.isFinite(axis?.min)
+    ? axis.min
+    : niceBound(dataMin, dataMin < 0 ? Math.ceil : Math.floor);
+  let max = Number.isFinite(axis?.max)
+    ? axis.max
+    : niceBound(dataMax, dataMax > 0 ? Math.ceil : Math.floor);
+  if (max <= min) max = min + 1;
+
+  const ticks = Array.isArray(axis?.ticks)
+    ? axis.ticks
+    : makeSymlogTicks(min, max);
+  return { min, max, ticks };
+}
+
+/**
+ * resolveValueAxis
+ * 데이터 범위와 값 축 설정으로 최종 도메인과 눈금 결정
+ * - min/max 중 생략된 쪽은 눈금 간격의 배수로 확장 (ticks.count도 이때는 1/2/5×10ⁿ 간격)
+ * - 한쪽만 지정하면 지정한 경계에도 눈금
+ * - type이 'log' / 'symlog'면 10의 거듭제곱 경계와 눈금 사용
+ *
+ * @param {number} dataMin - 데이터 최소값
+ * @param {number} dataMax - 데이터 최대값
+ * @param {{ type?: 'linear' | 'log' | 'symlog', min?: number, max?: number, ticks?: YTicks }} [axis] - 값 축 설정
+ * @param {number[]} [values] - 원본 값 배열 (로그 축 하한·0 이하 값 경고용)
+ * @returns {{ min: number, max: number, ticks: number[] }}
+ */
+export function resolveValueAxis(dataMin, dataMax, axis, values) {
+  if (axis?.type === "log") {
+    return resolveLogAxis(dataMax, axis, values);
+  }
+  if (axis?.type === "symlog") {
+    return resolveSymlogAxis(dataMin, dataMax, axis);
+  }
+
+  const hasMin = Number.isFinite(axis?.min);
+  const hasMax = Number.isFinite(axis?.max);
+  const ticks = axis?.ticks;
+
+  let min = hasMin ? axis.min : dataMin;
+  let max = hasMax ? axis.max : dataMax;
+  // 지정한 경계가 데이터 바깥이면 생략된 쪽을 그 경계 너머로 (데이터 폭만큼)
+  const span = dataMax - dataMin || 1;
+  if (hasMin && !hasMax && max <= min) max = min + span;
+  if (hasMax && !hasMin && min >= max) min = max - span;
+  if (max === min) max = min + 1;
+
+  let tickOpts = ticks;
+  let step;
+  if (!hasMin || !hasMax) {
+    let niceMin;
+    let niceMax;
+    if (ticks && !Array.isArray(ticks) && "step" in ticks && ticks.step > 0) {
+      step = ticks.step;
+      const digits = precisionOf(step);
+      niceMin = roundTo(Math.floor(min / step) * step, digits);
+      niceMax = roundTo(Math.ceil(max / step) * step, digits);
+    } else {
+      const count =
+        ticks && !Array.isArray(ticks) && "count" in ticks
+          ? ticks.count
+          : DEFAULT_TICK_COUNT;
+      [niceMin, niceMax] = niceDomain(min, max, count);
+      step = tickStep(niceMin, niceMax, count);
+      // 개수 지정도 확장된 도메인에서는 같은 1/2/5×10ⁿ 간격으로 눈금 생성
+      if (ticks && "count" in ticks) tickOpts = { step };
+    }
+    if (!hasMin) min = niceMin;
+    if (!hasMax) max = niceMax;
+  }
+
+  // 한쪽만 지정: 지정한 경계에도 눈금 (반 간격보다 가까운 눈금은 생략)
+  if (hasMin !== hasMax && !Array.isArray(ticks)) {
+    const inner = stepTicks(min, max, step).filter(
+      (v) =>
+        (!hasMin || v - min >= step / 2) && (!hasMax || max - v >= step / 2)
+    );
+    return {
+      min,
+      max,
+      ticks: [...(hasMin ? [min] : []), ...inner, ...(hasMax ? [max] : [])],
+    };
+  }
+
+  return { min, max, ticks: makeTicks(min, max, tickOpts) };
+}
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+const MONTH = 30 * DAY;
+const YEAR = 365 * DAY;
+
+// [단위, 간격, 대략적인 길이(ms)] — 짧은 간격부터
+const TIME_INTERVALS = [
+  ["minute", 1, MINUTE],
+  ["minute", 5, 5 * MINUTE],
+  ["minute", 15, 15 * MINUTE],
+  ["minute", 30, 30 * MINUTE],
+  ["hour", 1, HOUR],
+  ["hour", 3, 3 * HOUR],
+  ["hour", 6, 6 * HOUR],
+  ["hour", 12, 12 * HOUR],
+  ["day", 1, DAY],
+  ["day", 2, 2 * DAY],
+  ["week", 1, WEEK],
+  ["week", 2, 2 * WEEK],
+  ["month", 1, MONTH],
+  ["month", 3, 3 * MONTH],
+  ["month", 6, 6 * MONTH],
+  ["year", 1, YEAR],
+];
+
+/**
+ * 날짜를 단위·간격 경계로 내림 (로컬 시간 기준, 주는 월요일 시작)
+ */
+function floorTime(date, unit, step) {
+  const d = new Date(date);
+  switch (unit) {
+    case "minute":
+      d.setSeconds(0, 0);
+      d.setMinutes(Math.floor(d.getMinutes() / step) * step);
+      break;
+    case "hour":
+      d.setMinutes(0, 0, 0);
+      d.setHours(Math.floor(d.getHours() / step) * step);
+      break;
+    case "day":
+      d.setHours(0, 0, 0, 0);
+      d.setDate(Math.floor((d.getDate() - 1) / step) * step + 1);
+      break;
+    case "week": {
+      d.setHours(0, 0, 0, 0);
+      d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+      // 여러 주 간격은 기준 월요일(1970-01-05)부터 센 주 번호로 맞춤
+      const weeks = Math.round(
+        (Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) -
+          Date.UTC(1970, 0, 5)) /
+          WEEK
+      );
+      d.setDate(d.getDate() - (((weeks % step) + step) % step) * 7);
+      break;
+    }
+    case "month":
+      d.setHours(0, 0, 0, 0);
+      d.setDate(1);
+      d.setMonth(Math.floor(d.getMonth() / step) * step);
+      break;
+    default:
+      d.setHours(0, 0, 0, 0);
+      d.setMonth(0, 1);
+      d.setFullYear(Math.floor(d.getFullYear() / step) * step);
+  }
+  return d;
+}
+
+/**
+ * 날짜에 단위·간격만큼 더하기 (달력 기준)
+ */
+function offsetTime(date, unit, step) {
+  const d = new Date(date);
+  switch (unit) {
+    case "minute":
+      d.setMinutes(d.getMinutes() + step);
+      break;
+    case "hour":
+      d.setHours(d.getHours() + step);
+      break;
+    case "day": {
+      // 여러 날 간격은 달마다 1일부터 다시 시작 (월말을 넘겨 어긋나지 않도록)
+      const month = d.getMonth();
+      d.setDate(d.getDate() + step);
+      if (step > 1 && d.getMonth() !== month) d.setDate(1);
+      break;
+    }
+    case "week":
+      d.setDate(d.getDate() + step * 7);
+      break;
+    case "month":
+      d.setMonth(d.getMonth() + step);
+      break;
+    default:
+      d.setFullYear(d.getFullYear() + step);
+  }
+  return d;
+}
+
+/**
+ * makeTimeTicks
+ * 시간 축 눈금 생성 (분·시·일·주·월·년 중 구간에 맞는 달력 단위 선택)
+ *
+ * @param {number} tMin - 시작 타임스탬프
+ * @param {number} tMax - 끝 타임스탬프
+ * @param {number} [count=6] - 목표 눈금 개수
+ * @returns {{ ticks: number[], unit: 'minute' | 'hour' | 'day' | 'week' | 'month' | 'year' }}
+ */
+export function makeTimeTicks(tMin, tMax, count = 6) {
+  const span = Math.abs(tMax - tMin);
+  const target = span / Math.max(1, count);
+
+  let [unit, step] =
+    TIME_INTERVALS.find(([, , ms]) => ms >= target) ??
+    TIME_INTERVALS[TIME_INTERVALS.length - 1];
+
+  // 1년 이상 간격은 연도 수에 대해 1/2/5×10ⁿ 간격 사용
+  if (unit === "year") {
+    step = Math.max(1, tickStep(0, span / YEAR, count));
+  }
+
+  const ticks = [];
+  let t = floorTime(tMin, unit, step);
+  if (t.getTime() < tMin) t = offsetTime(t, unit, step);
+  while (t.getTime() <= tMax && ticks.length < 1000) {
+    ticks.push(t.getTime());
+    t = offsetTime(t, unit, step);
+  }
+
+  return { ticks, unit };
+}
@@ -0,0 +1,86 @@
+/** 전환 애니메이션 기본 시간 (ms) */
+export const TRANSITION_DURATION = 450;
+
+/** ease-in-out (cubic) */
+const easeCubic = (t) =>
+  t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+const NUMBER_RE = /-?\d*\.?\d+(?:e[-+]?\d+)?/gi;
+
+/**
+ * interpolatePath
+ * 숫자 위치만 다른 두 문자열(SVG path d 등)을 보간
+ * 명령 구조가 다르면 중간 없이 끝 값으로 바뀜
+ *
+ * @param {string} from - 시작 문자열
+ * @param {string} to - 끝 문자열
+ * @returns {(t: number) => string}
+ */
+export function interpolatePath(from, to) {
+  const a = String(from).match(NUMBER_RE) ?? [];
+  const b = String(to).match(NUMBER_RE) ?? [];
+  const skeleton = String(to).split(NUMBER_RE);
+  const same =
+    a.length === b.length &&
+    String(from).split(NUMBER_RE).join("|") === skeleton.join("|");
+  if (!same) return (t) => (t < 1 ? from : to);
+
+  const na = a.map(Number);
+  const nb = b.map(Number);
+  return (t) =>
+    skeleton.reduce(
+      (acc, part, i) =>
+        i < nb.length ? acc + part + (na[i] + (nb[i] - na[i]) * t) : acc + part,
+      ""
+    );
+}
+
+/**
+ * interpolateAttrs
+ * 요소 속성을 시작 값에서 끝 값으로 보간하는 함수 생성
+ * - 숫자는 선형 보간, 문자열은 interpolatePath
+ * - opacity는 CSS 애니메이션보다 우선하도록 인라인 스타일로 적용
+ *
+ * @param {Element} el - 대상 요소
+ * @param {Record<string, number | string>} from - 시작 값
+ * @param {Record<string, number | string>} to - 끝 값
+ * @returns {(t: number) => void} 0~1 진행도를 받아 속성을 적용하는 함수
+ */
+export function interpolateAttrs(el, from, to) {
+  const steps = Object.keys(to).map((name) => {
+    const start = from[name] ?? to[name];
+    const end = to[name];
+    const lerp =
+      typeof end === "number"
+        ? (t) => Number(start) + (end - Number(start)) * t
+        : interpolatePath(start, end);
+    return name === "opacity"
+      ? (t) => {
+          el.style.opacity = t < 1 ? lerp(t) : "";
+        }
+      : (t) => el.setAttribute(name, lerp(t));
+  });
+  return (t) => steps.forEach((step) => step(t));
+}
+
+/**
+ * tween
+ * requestAnimationFrame으로 진행도(0~1, ease-in-out)를 전달
+ *
+ * @param {(t: number) => void} onFrame - 프레임 콜백
+ * @param {number} [duration=TRANSITION_DURATION] - 시간 (ms)
+ * @returns {() => void} 중단 함수
+ */
+export function tween(onFrame, duration = TRANSITION_DURATION) {
+  let frameId = null;
+  let startTime = null;
+  onFrame(0);
+  const step = (now = performance.now()) => {
+    if (startTime === null) startTime = now;
+    const p = Math.min(1, (now - startTime) / duration);
+    onFrame(easeCubic(p));
+    if (p < 1) frameId = requestAnimationFrame(step);
+  };
+  frameId = requestAnimationFrame(step);
+  return () => cancelAnimationFrame(frameId);
+}
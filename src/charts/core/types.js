@@ -10,7 +10,9 @@
  * Y축 눈금 설정 타입
  * - number[]           직접 지정 (예: [0, 25, 50, 75, 100])
  * - { step: number }   간격 지정 (예: { step: 20 } → 0, 20, 40, 60, ...)
- * - { count: number }  개수 지정 (예: { count: 5 } → 구간을 5등분하여 6개 눈금 생성)
+ * - { count: number }  개수 지정 (예: { count: 5 } → 구간을 5등분하여 6개 눈금 생성,
+ *                      min/max 생략으로 도메인을 확장할 때는 5개 내외의 1/2/5×10ⁿ 간격)
+ * - 생략               자동 (1/2/5×10ⁿ 간격, min/max 생략 시 도메인도 확장)
  *
  * @typedef {number[] | { step: number } | { count: number }} YTicks
  */
@@ -0,0 +1,185 @@
+import { bandScale, linearScale, timeScale, toTime } from "./scales.js";
+import { resolveValueAxis } from "./ticks.js";
+import { renderAxisBand } from "./AxisBand.js";
+import { renderAxisLinear } from "./AxisLinear.js";
+import { renderAxisTime, formatDateTime } from "./AxisTime.js";
+
+/**
+ * @typedef {Object} XAxisOpts
+ * @property {'band' | 'time' | 'linear'} [type] - X축 종류 (생략 시 date 필드가 있으면 'time', x 필드가 있으면 'linear')
+ * @property {Date | string | number} [min] - 시간/연속 축 시작
+ * @property {Date | string | number} [max] - 시간/연속 축 끝
+ * @property {import('./types').YTicks} [ticks] - 연속 축 눈금 설정
+ * @property {string | string[]} [locale] - 날짜·숫자 포맷 로케일 (생략 시 차트의 locale)
+ * @property {(v: Date | number) => string | number} [formatTick] - 눈금 라벨 포맷 함수
+ */
+
+/**
+ * @typedef {Object} ResolvedXAxis
+ * @property {'band' | 'time' | 'linear'} type - 확정된 X축 종류
+ * @property {Object[]} rows - X 순서로 정렬된 데이터
+ * @property {(d: Object) => number} xOf - 데이터의 X 픽셀 좌표
+ * @property {(d: Object) => string} labelOf - 툴팁 등에 쓰는 X 라벨
+ * @property {{ getX: (lab: string) => number, bandWidth: number } | null} band - 밴드 스케일 (band일 때)
+ * @property {[number, number] | null} domain - 시간/연속 도메인 (time, linear일 때)
+ * @property {((v: number) => number) | null} scale - 연속 스케일 (time, linear일 때)
+ * @property {number[] | null} ticks - 연속 축 눈금 (linear일 때)
+ */
+
+/**
+ * X축 종류 추론 (date → 시간, x → 연속, 그 외 카테고리)
+ */
+const inferType = (data) => {
+  if (data.some((d) => d.date != null)) return "time";
+  if (data.some((d) => typeof d.x === "number")) return "linear";
+  return "band";
+};
+
+/**
+ * resolveXAxis
+ * 라인 차트 X축 스케일 결정 (카테고리 밴드 / 시간 / 연속 수치)
+ *
+ * @param {Object[]} data - { label }, { date } 또는 { x } 데이터
+ * @param {number} innerWidth - 내부 너비
+ * @param {XAxisOpts} [xAxis] - X축 설정
+ * @returns {ResolvedXAxis}
+ */
+export function resolveXAxis(data, innerWidth, xAxis) {
+  const type = xAxis?.type ?? inferType(data);
+
+  if (type === "time") {
+    const rows = data
+      .filter((d) => Number.isFinite(toTime(d.date)))
+      .sort((a, b) => toTime(a.date) - toTime(b.date));
+    const times = rows.map((d) => toTime(d.date));
+    const domain = [
+      xAxis?.min != null ? toTime(xAxis.min) : Math.min(...times),
+      xAxis?.max != null ? toTime(xAxis.max) : Math.max(...times),
+    ];
+    const scale = timeScale(domain[0], domain[1], 0, innerWidth);
+
+    return {
+      type,
+      rows,
+      xOf: (d) => scale(d.date),
+      labelOf: (d) => d.label ?? formatDateTime(toTime(d.date), xAxis?.locale),
+      band: null,
+      domain,
+      scale,
+      ticks: null,
+    };
+  }
+
+  if (type === "linear") {
+    const rows = data
+      .filter((d) => Number.isFinite(d.x))
+      .sort((a, b) => a.x - b.x);
+    const xs = rows.map((d) => d.x);
+    const { min, max, ticks } = resolveValueAxis(
+      xs.length ? Math.min(...xs) : 0,
+      xs.length ? Math.max(...xs) : 1,
+      xAxis
+    );
+    const scale = linearScale(min, max, 0, innerWidth);
+    const format =
+      xAxis?.formatTick ?? ((v) => v.toLocaleString(xAxis?.locale));
+
+    return {
+      type,
+      rows,
+      xOf: (d) => scale(d.x),
+      labelOf: (d) => d.label ?? String(format(d.x)),
+      band: null,
+      domain: [min, max],
+      scale,
+      ticks,
+    };
+  }
+
+  const labels = data.map((d) => d.label);
+  const band = bandScale(labels, 0, innerWidth, 0.1);
+
+  return {
+    type: "band",
+    rows: data,
+    xOf: (d) => band.getX(d.label) + band.bandWidth / 2,
+    labelOf: (d) => d.label,
+    band,
+    domain: null,
+    scale: null,
+    ticks: null,
+  };
+}
+
+/**
+ * renderXAxis
+ * resolveXAxis 결과에 맞는 X축 렌더링
+ *
+ * @param {SVGGElement} container - SVG g 요소 (축을 그릴 컨테이너)
+ * @param {ResolvedXAxis} x - resolveXAxis 결과
+ * @param {Object} props
+ * @param {number} props.innerWidth - 내부 너비
+ * @param {number} props.innerHeight - 내부 높이
+ * @param {boolean} [props.rotateLabels=false] - 카테고리 라벨 회전 여부
+ * @param {import('./AxisBand').LabelLayout} [props.labelLayout='auto'] - 카테고리 라벨 겹침 처리 전략
+ * @param {XAxisOpts} [props.xAxis] - X축 설정
+ * @param {string} [props.title] - 축 제목
+ * @returns {{ size: number }} 축 아래로 라벨·제목이 차지하는 높이
+ */
+export function renderXAxis(
+  container,
+  x,
+  {
+    innerWidth,
+    innerHeight,
+    rotateLabels = false,
+    labelLayout = "auto",
+    xAxis,
+    title,
+  }
+) {
+  if (x.type === "time") {
+    container.removeAttribute("transform");
+    if (!x.rows.length) {
+      container.innerHTML = "";
+      return { size: 0 };
+    }
+    return renderAxisTime(container, {
+      domain: x.domain,
+      scale: x.scale,
+      length: innerHeight,
+      tickCount: Math.max(2, Math.floor(innerWidth / 90)),
+      locale: xAxis?.locale,
+      formatTick: xAxis?.formatTick,
+      title,
+      extent: innerWidth,
+    });
+  }
+
+  if (x.type === "linear") {
+    container.removeAttribute("transform");
+    return renderAxisLinear(container, {
+      ticks: x.ticks,
+      scale: x.scale,
+      length: innerHeight,
+      side: "bottom",
+      grid: false,
+      formatTick: xAxis?.formatTick,
+      title,
+      extent: innerWidth,
+    });
+  }
+
+  container.setAttribute("transform", `translate(0, ${innerHeight})`);
+  return renderAxisBand(container, {
+    labels: x.rows.map((d) => d.label),
+    getPos: x.band.getX,
+    bandWidth: x.band.bandWidth,
+    side: "bottom",
+    rotate: rotateLabels,
+    layout: labelLayout,
+    tickPadding: 20,
+    title,
+    extent: innerWidth,
+  });
+}
@@ -0,0 +1,260 @@
+/**
+ * @typedef {Object} ZoomFrame
+ * @property {SVGElement} plot - 플롯 영역 전체를 덮는 요소 (휠·드래그·핀치 대상)
+ * @property {SVGGElement | null} brush - renderBrush로 그린 개요 영역 (없으면 null)
+ * @property {number} width - 플롯·개요 영역 내부 너비 (viewBox 단위)
+ * @property {[number, number]} domain - 현재 보이는 X 구간
+ * @property {[number, number]} full - 전체 X 구간
+ * @property {number} minSpan - 최소 구간 길이
+ */
+
+/** 휠 한 칸(deltaY 100)에 약 20% 확대/축소 */
+const WHEEL_ZOOM = 0.002;
+
+/**
+ * clampRange
+ * 구간을 전체 범위 안으로 (길이는 minSpan 이상, 전체 이하로 유지하며 밀어 넣음)
+ *
+ * @param {[number, number]} range
+ * @param {[number, number]} full
+ * @param {number} [minSpan=0]
+ * @returns {[number, number]}
+ */
+export function clampRange([start, end], [min, max], minSpan = 0) {
+  const fullSpan = max - min;
+  const center = (start + end) / 2;
+  const span = Math.min(Math.max(end - start, minSpan), fullSpan);
+  let s = center - span / 2;
+  if (s < min) s = min;
+  if (s + span > max) s = max - span;
+  return [s, s + span];
+}
+
+/**
+ * createXZoom
+ * X 방향 확대·이동 제스처 (SVG에 한 번만 연결, 다시 그릴 때마다 setFrame으로 갱신)
+ * - 플롯: 휠·트랙패드 핀치로 확대/축소(포인터 위치 고정), 가로 휠·마우스 드래그로 이동,
+ *   두 손가락 핀치로 확대/축소·이동, 더블클릭으로 전체 보기
+ * - 개요: 창 드래그로 이동, 양끝 핸들로 크기 조절, 바깥 드래그로 새 구간, 클릭으로 그 위치로 이동
+ * - 개요 창 키보드: ←→ 이동, +/- 확대/축소, Home/End 처음/끝
+ * - 요소를 다시 그려도 제스처가 끊기지 않도록 포인터는 SVG가 캡처
+ *
+ * @param {SVGSVGElement} svg - 차트 SVG (다시 그려도 유지되는 요소)
+ * @param {Object} props
+ * @param {(range: [number, number] | null) => void} props.onChange - 새 구간 (null이면 전체 보기)
+ * @returns {{ setFrame: (frame: ZoomFrame | null) => void, destroy: () => void }}
+ */
+export function createXZoom(svg, { onChange }) {
+  /** @type {ZoomFrame | null} */
+  let frame = null;
+  let gesture = null;
+  const touches = new Map();
+
+  // 요소 기준 X 좌표 (화면 크기와 viewBox 크기가 다를 수 있어 비율로 환산)
+  const pxOf = (el, clientX) => {
+    const rect = el.getBoundingClientRect();
+    const scale = rect.width ? frame.width / rect.width : 1;
+    return (clientX - rect.left) * scale;
+  };
+  const valueAt = (px, [d0, d1]) => d0 + (px / frame.width) * (d1 - d0);
+
+  const emit = (range) =>
+    onChange(clampRange(range, frame.full, frame.minSpan));
+
+  // anchor 값이 px 위치에 머물도록 span 길이로 확대/축소
+  const zoomAround = (anchor, px, span) => {
+    const start = anchor - (px / frame.width) * span;
+    emit([start, start + span]);
+  };
+
+  const inBrush = (el) => frame?.brush && frame.brush.contains(el);
+
+  const onWheel = (e) => {
+    if (!frame || e.target !== frame.plot) return;
+    e.preventDefault();
+    const unit = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? frame.width : 1;
+    const [d0, d1] = frame.domain;
+    const span = d1 - d0;
+    if (Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+      const shift = ((e.deltaX * unit) / frame.width) * span;
+      emit([d0 + shift, d1 + shift]);
+      return;
+    }
+    const px = pxOf(frame.plot, e.clientX);
+    const k = Math.exp(e.deltaY * unit * WHEEL_ZOOM);
+    zoomAround(valueAt(px, frame.domain), px, span * k);
+  };
+
+  // 두 손가락 사이 거리·가운데
+  const pinchOf = () => {
+    const [a, b] = [...touches.values()];
+    return {
+      mid: pxOf(frame.plot, (a + b) / 2),
+      dist: Math.abs(pxOf(frame.plot, a) - pxOf(frame.plot, b)),
+    };
+  };
+
+  const onPointerDown = (e) => {
+    if (!frame) return;
+
+    if (inBrush(e.target)) {
+      const px = pxOf(frame.brush, e.clientX);
+      const mode = e.target.classList.contains("brush-handle--start")
+        ? "start"
+        : e.target.classList.contains("brush-handle--end")
+        ? "end"
+        : e.target.classList.contains("brush-window")
+        ? "move"
+        : "select";
+      gesture = {
+        mode,
+        pointerId: e.pointerId,
+        startPx: px,
+        range: frame.domain,
+        anchor: valueAt(px, frame.full),
+        moved: false,
+      };
+    } else if (e.target === frame.plot) {
+      if (e.pointerType === "touch") {
+        // 한 손가락은 크로스헤어, 두 손가락부터 핀치
+        touches.set(e.pointerId, e.clientX);
+        if (touches.size !== 2) return;
+        const { mid, dist } = pinchOf();
+        gesture = {
+          mode: "pinch",
+          mid,
+          dist,
+          range: frame.domain,
+          anchor: valueAt(mid, frame.domain),
+        };
+        touches.forEach((_, id) => svg.setPointerCapture?.(id));
+        return;
+      }
+      if (e.button !== 0) return;
+      gesture = {
+        mode: "pan",
+        pointerId: e.pointerId,
+        startPx: pxOf(frame.plot, e.clientX),
+        range: frame.domain,
+      };
+    } else {
+      return;
+    }
+
+    e.preventDefault();
+    svg.setPointerCapture?.(e.pointerId);
+  };
+
+  const onPointerMove = (e) => {
+    if (!frame || !gesture) return;
+
+    if (gesture.mode === "pinch") {
+      if (!touches.has(e.pointerId)) return;
+      touches.set(e.pointerId, e.clientX);
+      const { mid, dist } = pinchOf();
+      const [r0, r1] = gesture.range;
+      const span = (r1 - r0) * (dist ? gesture.dist / dist : 1);
+      zoomAround(gesture.anchor, mid, span);
+      return;
+    }
+    if (e.pointerId !== gesture.pointerId) return;
+
+    const { mode, startPx, range } = gesture;
+    const [r0, r1] = range;
+    if (mode === "pan") {
+      const dx = pxOf(frame.plot, e.clientX) - startPx;
+      const shift = (-dx / frame.width) * (r1 - r0);
+      emit([r0 + shift, r1 + shift]);
+      return;
+    }
+
+    // 개요 영역: 전체 구간 기준 좌표
+    const px = pxOf(frame.brush, e.clientX);
+    if (Math.abs(px - startPx) > 3) gesture.moved = true;
+    const v = valueAt(px, frame.full);
+    // 크기 조절·새 구간은 개요 밖으로 나간 만큼 잘라냄
+    const edge = Math.max(frame.full[0], Math.min(frame.full[1], v));
+    if (mode === "move") {
+      const shift = v - gesture.anchor;
+      emit([r0 + shift, r1 + shift]);
+    } else if (mode === "start") {
+      emit([Math.min(edge, r1 - frame.minSpan), r1]);
+    } else if (mode === "end") {
+      emit([r0, Math.max(edge, r0 + frame.minSpan)]);
+    } else if (gesture.moved) {
+      emit([Math.min(gesture.anchor, edge), Math.max(gesture.anchor, edge)]);
+    }
+  };
+
+  const onPointerUp = (e) => {
+    touches.delete(e.pointerId);
+    if (!gesture) return;
+    if (gesture.mode === "pinch") {
+      if (touches.size < 2) gesture = null;
+      return;
+    }
+    if (e.pointerId !== gesture.pointerId) return;
+
+    // 개요 바깥 클릭: 현재 길이 그대로 그 위치를 가운데로
+    if (frame && gesture.mode === "select" && !gesture.moved) {
+      const [r0, r1] = gesture.range;
+      const half = (r1 - r0) / 2;
+      emit([gesture.anchor - half, gesture.anchor + half]);
+    }
+    gesture = null;
+  };
+
+  const onDblClick = (e) => {
+    if (frame && e.target === frame.plot) onChange(null);
+  };
+
+  const onKeyDown = (e) => {
+    if (!frame || !e.target.classList?.contains("brush-window")) return;
+    const [d0, d1] = frame.domain;
+    const span = d1 - d0;
+    const center = (d0 + d1) / 2;
+    const [f0, f1] = frame.full;
+
+    const moves = {
+      ArrowLeft: [d0 - span * 0.1, d1 - span * 0.1],
+      ArrowRight: [d0 + span * 0.1, d1 + span * 0.1],
+      "+": [center - span * 0.4, center + span * 0.4],
+      "=": [center - span * 0.4, center + span * 0.4],
+      "-": [center - span * 0.625, center + span * 0.625],
+      Home: [f0, f0 + span],
+      End: [f1 - span, f1],
+    };
+    const next = moves[e.key];
+    if (!next) return;
+
+    e.preventDefault();
+    emit(next);
+    // 다시 그린 개요 창으로 포커스 유지
+    frame?.brush?.querySelector(".brush-window")?.focus();
+  };
+
+  svg.addEventListener("wheel", onWheel, { passive: false });
+  svg.addEventListener("pointerdown", onPointerDown);
+  svg.addEventListener("pointermove", onPointerMove);
+  svg.addEventListener("pointerup", onPointerUp);
+  svg.addEventListener("pointercancel", onPointerUp);
+  svg.addEventListener("dblclick", onDblClick);
+  svg.addEventListener("keydown", onKeyDown);
+
+  return {
+    setFrame(next) {
+      frame = next;
+      if (!frame) gesture = null;
+    },
+
+    destroy() {
+      svg.removeEventListener("wheel", onWheel);
+      svg.removeEventListener("pointerdown", onPointerDown);
+      svg.removeEventListener("pointermove", onPointerMove);
+      svg.removeEventListener("pointerup", onPointerUp);
+      svg.removeEventListener("pointercancel", onPointerUp);
+      svg.removeEventListener("dblclick", onDblClick);
+      svg.removeEventListener("keydown", onKeyDown);
+    },
+  };
+}
@@ -3,6 +3,13 @@ import { createBarGroupChart } from "./charts/BarChart/BarGroupChart.js";
 import { createLineChart } from "./charts/LineChart/LineChart.js";
 import { createLineGroupChart } from "./charts/LineChart/LineGroupChart.js";
 import { createPieChart } from "./charts/PieChart/PieChart.js";
+import { createSunburstChart } from "./charts/PieChart/SunburstChart.js";
+import { createScatterChart } from "./charts/ScatterChart/ScatterChart.js";
+import { createComboChart } from "./charts/ComboChart/ComboChart.js";
+import { createHistogram } from "./charts/BarChart/Histogram.js";
+import { createWaterfallChart } from "./charts/BarChart/WaterfallChart.js";
+import { createHeatmapChart } from "./charts/HeatmapChart/HeatmapChart.js";
+import { createBoxPlotChart } from "./charts/BoxPlotChart/BoxPlotChart.js";
 
 // 1) 막대 세로
 const barSample = [
@@ -44,6 +51,14 @@ const barSample4 = [
   { label: "디자인", values: { completed: 60, waiting: 10, pending: 20 } },
 ];
 
+// 4-1) 음수 막대 (손익)
+const barSampleNegative = [
+  { label: "1분기", value: 32 },
+  { label: "2분기", value: -18 },
+  { label: "3분기", value: 12 },
+  { label: "4분기", value: -7 },
+];
+
 // 5) 단일 라인
 const lineSample = [
   { label: "1월", value: 12000 },
@@ -55,6 +70,27 @@ const lineSample = [
   { label: "7월", value: 22400 },
 ];
 
+// 5-1) 시간 축 라인 (불규칙 날짜)
+const lineSampleTime = [
+  { date: "2025-01-02", value: 42 },
+  { date: "2025-01-05", value: 48 },
+  { date: "2025-01-06", value: 45 },
+  { date: "2025-01-20", value: 61 },
+  { date: "2025-02-03", value: 58 },
+  { date: "2025-02-04", value: 66 },
+  { date: "2025-03-15", value: 72 },
+];
+
+// 5-2) 연속 X축 라인 (순서 무관, 차트가 정렬)
+const lineSampleLinearX = [
+  { x: 28, y: 71 },
+  { x: -4, y: 64 },
+  { x: 12.5, y: 38 },
+  { x: 5, y: 47 },
+  { x: 33, y: 86 },
+  { x: 19, y: 44 },
+];
+
 // 6) 그룹 라인
 const lineSample2 = [
   { label: "1월", values: { sales: 100, cost: 60, profit: 40 } },
@@ -81,6 +117,121 @@ const pieSample = [
   { label: "마케터", value: 600 },
 ];
 
+// 10) 버블
+const scatterSample = [
+  { label: "서울", x: 42, y: 380, size: 1200, group: "수도권" },
+  { label: "경기", x: 35, y: 310, size: 950, group: "수도권" },
+  { label: "인천", x: 18, y: 140, size: 320, group: "수도권" },
+  { label: "부산", x: 22, y: 190, size: 540, group: "영남" },
+  { label: "대구", x: 15, y: 120, size: 280, group: "영남" },
+  { label: "울산", x: 9, y: 85, size: 150, group: "영남" },
+  { label: "광주", x: 11, y: 95, size: 190, group: "호남" },
+  { label: "전주", x: 6, y: 48, size: 90, group: "호남" },
+];
+
+// 11) 복합
+const comboSample = [
+  { label: "1월", values: { volume: 320, target: 300, rate: 106.7 } },
+  { label: "2월", values: { volume: 280, target: 300, rate: 93.3 } },
+  { label: "3월", values: { volume: 350, target: 320, rate: 109.4 } },
+  { label: "4월", values: { volume: 310, target: 320, rate: 96.9 } },
+  { label: "5월", values: { volume: 390, target: 340, rate: 114.7 } },
+  { label: "6월", values: { volume: 360, target: 340, rate: 105.9 } },
+];
+
+// 12) 히스토그램 (응답 시간 샘플: 고정 시드 난수로 만든 로그정규 분포)
+let seed = 42;
+const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+const histogramSample = Array.from({ length: 400 }, () => {
+  const z =
+    Math.sqrt(-2 * Math.log(random())) * Math.cos(2 * Math.PI * random());
+  return Math.round(Math.exp(5.3 + 0.35 * z));
+});
+
+// 13) 히트맵 (요일 × 시간대 접속 수: 평일 출퇴근·점심, 주말 오후에 몰림)
+const weekdays = ["월", "화", "수", "목", "금", "토", "일"];
+const heatmapSample = weekdays.flatMap((day, di) =>
+  Array.from({ length: 24 }, (_, hour) => {
+    const isWeekend = di >= 5;
+    const peak = isWeekend
+      ? Math.exp(-((hour - 15) ** 2) / 18)
+      : Math.exp(-((hour - 9) ** 2) / 3) +
+        0.8 * Math.exp(-((hour - 12.5) ** 2) / 2) +
+        0.9 * Math.exp(-((hour - 19) ** 2) / 4);
+    return {
+      row: day,
+      column: `${hour}시`,
+      value: Math.round(20 + 180 * peak + ((di * 7 + hour * 13) % 17)),
+    };
+  })
+);
+
+// 14) 박스 플롯 (브랜치별 빌드 시간 샘플, 초)
+const boxPlotSample = [
+  { label: "main", center: 182, spread: 12 },
+  { label: "develop", center: 205, spread: 22 },
+  { label: "feature/cache", center: 148, spread: 9 },
+  { label: "feature/ui", center: 226, spread: 30 },
+].map(({ label, center, spread }) => ({
+  label,
+  values: Array.from({ length: 40 }, (_, i) => {
+    const noise = Math.sin(i * 12.9898 + center) * 43758.5453;
+    const jitter = (noise - Math.floor(noise) - 0.5) * 2 * spread;
+    // 가끔 느린 빌드 (이상치)
+    return Math.round(center + jitter + (i % 17 === 0 ? spread * 4 : 0));
+  }),
+}));
+
+// 15) 워터폴 (기초 잔액 → 증감 → 소계 → 기말 잔액, 억원)
+const waterfallSample = [
+  { label: "기초 잔액", value: 120, total: true },
+  { label: "매출", value: 86 },
+  { label: "원가", value: -52 },
+  { label: "인건비", value: -38 },
+  { label: "영업이익", total: true },
+  { label: "투자", value: -140 },
+  { label: "차입", value: 30 },
+  { label: "기말 잔액", total: true },
+];
+
+// 16) 선버스트 (사업부 › 제품군 › 제품 매출)
+const sunburstSample = [
+  {
+    label: "가전",
+    children: [
+      {
+        label: "주방",
+        children: [
+          { label: "냉장고", value: 42 },
+          { label: "식기세척기", value: 18 },
+        ],
+      },
+      {
+        label: "생활",
+        children: [
+          { label: "세탁기", value: 30 },
+          { label: "청소기", value: 16 },
+        ],
+      },
+    ],
+  },
+  {
+    label: "모바일",
+    children: [
+      { label: "스마트폰", value: 64 },
+      { label: "태블릿", value: 22 },
+      { label: "웨어러블", value: 12 },
+    ],
+  },
+  {
+    label: "서비스",
+    children: [
+      { label: "구독", value: 20 },
+      { label: "수리", value: 9 },
+    ],
+  },
+];
+
 // 1. 세로 막대 차트
 createBarChart(document.getElementById("bar-chart-vertical"), {
   data: barSample,
@@ -121,7 +272,14 @@ createBarGroupChart(document.getElementById("bar-group-vertical"), {
   categoryGap: 0.4,
   seriesGap: 0.2,
   framePadding: { left: 30 },
-  valueAxis: { min: 0, max: 100, ticks: { step: 20 } },
+  valueAxis: {
+    min: 0,
+    max: 100,
+    ticks: { step: 20 },
+    title: "달성률",
+    unit: "%",
+  },
+  categoryAxis: { title: "연도" },
 });
 
 // 4. 그룹 가로 막대 차트
@@ -152,6 +310,38 @@ createBarGroupChart(document.getElementById("bar-group-horizontal"), {
   legend: { show: true, position: "right" },
 });
 
+// 4-2. 누적 막대 차트
+createBarGroupChart(document.getElementById("bar-group-stacked"), {
+  data: barSample4,
+  mode: "stacked",
+  seriesOrder: ["completed", "pending", "waiting"],
+  seriesLabels: { completed: "완료", waiting: "대기중", pending: "진행중" },
+  colors: { completed: "#73A7D9", waiting: "#C49BCF", pending: "#FF9B66" },
+  valueFormat: { type: "number", unit: "건" },
+});
+
+// 4-3. 100% 누적 가로 막대 차트
+createBarGroupChart(document.getElementById("bar-group-percent"), {
+  data: barSample4,
+  height: 400,
+  orientation: "horizontal",
+  mode: "percent",
+  seriesOrder: ["completed", "pending", "waiting"],
+  seriesLabels: { completed: "완료", waiting: "대기중", pending: "진행중" },
+  colors: { completed: "#73A7D9", waiting: "#C49BCF", pending: "#FF9B66" },
+  valueFormat: { type: "number", unit: "건" },
+  legend: { show: true, position: "right" },
+});
+
+// 4-1. 음수 막대 차트 (손익)
+createBarChart(document.getElementById("bar-chart-negative"), {
+  data: barSampleNegative,
+  orientation: "vertical",
+  valueAxis: { formatTick: (v) => `${v}억` },
+  barColor: "#95d1a9",
+  categoryGap: 0.4,
+});
+
 // 5. 단일 라인 차트
 createLineChart(document.getElementById("line-chart"), {
   data: lineSample,
@@ -170,6 +360,39 @@ createLineChart(document.getElementById("line-chart"), {
   },
 });
 
+// 5-1. 시간 축 라인 차트
+createLineChart(document.getElementById("line-chart-time"), {
+  data: lineSampleTime,
+  color: "#4f83cc",
+  area: true,
+  xAxis: { type: "time", locale: "ko-KR" },
+});
+
+// 5-2. 연속 X축 라인 차트
+createLineChart(document.getElementById("line-chart-linear-x"), {
+  data: lineSampleLinearX,
+  color: "#ab47bc",
+  xAxis: { type: "linear", formatTick: (v) => `${v}℃` },
+  valueAxis: { formatTick: (v) => `${v}MW` },
+});
+
+// 5-3. 결측값이 있는 라인 차트
+createLineChart(document.getElementById("line-chart-missing"), {
+  data: [
+    { label: "1월", value: 42 },
+    { label: "2월", value: 48 },
+    { label: "3월", value: null },
+    { label: "4월", value: 51 },
+    { label: "5월", value: 57 },
+    { label: "6월", value: undefined },
+    { label: "7월", value: 63 },
+  ],
+  color: "#26a69a",
+  area: true,
+  missing: "gap",
+  valueAxis: { formatTick: (v) => `${v}건` },
+});
+
 // 6. 그룹 라인 차트
 createLineGroupChart(document.getElementById("line-group-chart"), {
   data: lineSample2,
@@ -195,6 +418,22 @@ createLineGroupChart(document.getElementById("line-group-chart"), {
   legend: { show: true, position: "top" },
 });
 
+// 6-1. 그룹 라인 차트 (보조 축)
+createLineGroupChart(document.getElementById("line-group-dual-axis"), {
+  data: [
+    { label: "1분기", values: { sales: 820, margin: 12.5 } },
+    { label: "2분기", values: { sales: 940, margin: 14.2 } },
+    { label: "3분기", values: { sales: 1210, margin: 9.8 } },
+    { label: "4분기", values: { sales: 1380, margin: 11.4 } },
+  ],
+  seriesLabels: { sales: "매출", margin: "이익률" },
+  colors: { sales: "#4f83cc", margin: "#ff6b6b" },
+  showDots: true,
+  valueAxis: { title: "매출", unit: "억원" },
+  valueAxisRight: { title: "이익률", formatTick: (v) => `${v}%` },
+  seriesAxis: { margin: "right" },
+});
+
 // 7. 그룹 라인 차트 (면 활성화)
 createLineGroupChart(document.getElementById("line-group-area"), {
   data: lineSample3,
@@ -214,6 +453,7 @@ createLineGroupChart(document.getElementById("line-group-area"), {
   showDots: true,
   dotRadius: 3,
   area: true,
+  curve: "monotone",
   rotateLabels: false,
   framePadding: { top: 50 },
   valueAxis: {
@@ -225,6 +465,28 @@ createLineGroupChart(document.getElementById("line-group-area"), {
   legend: { show: true, position: "right" },
 });
 
+// 7-1. 누적 영역 차트
+createLineGroupChart(document.getElementById("line-group-stacked"), {
+  data: lineSample2,
+  stack: "stacked",
+  curve: "monotone",
+  seriesOrder: ["sales", "cost", "profit"],
+  seriesLabels: { sales: "매출액", cost: "비용", profit: "순이익" },
+  colors: { sales: "#4f83cc", cost: "#ff6b6b", profit: "#51cf66" },
+  showDots: false,
+  valueFormat: { type: "number", unit: "억" },
+});
+
+// 7-2. 스트림 그래프
+createLineGroupChart(document.getElementById("line-group-stream"), {
+  data: lineSample3,
+  stack: "stream",
+  seriesOrder: ["teamA", "teamB", "teamC"],
+  seriesLabels: { teamA: "A팀", teamB: "B팀", teamC: "C팀" },
+  colors: { teamA: "#ffa726", teamB: "#42a5f5", teamC: "#ab47bc" },
+  showDots: false,
+});
+
 // 8. 파이 차트
 createPieChart(document.getElementById("pie-chart"), {
   data: pieSample,
@@ -245,3 +507,74 @@ createPieChart(document.getElementById("donut-chart"), {
     position: "right",
   },
 });
+
+// 10. 버블 차트
+createScatterChart(document.getElementById("scatter-bubble"), {
+  data: scatterSample,
+  height: 400,
+  xAxis: { title: "광고비", unit: "억원" },
+  yAxis: { title: "매출", unit: "억원" },
+  sizeLabel: "고객 수",
+  sizeFormat: { type: "number", unit: "천명" },
+  colors: { 수도권: "#4f83cc", 영남: "#ff9b66", 호남: "#95d1a9" },
+});
+
+// 11. 복합 차트
+createComboChart(document.getElementById("combo-chart"), {
+  data: comboSample,
+  series: [
+    { key: "volume", type: "bar", label: "판매량", color: "#73a7d9" },
+    { key: "target", type: "bar", label: "목표", color: "#d7d7d7" },
+    {
+      key: "rate",
+      type: "line",
+      label: "달성률",
+      axis: "right",
+      color: "#ff6b6b",
+    },
+  ],
+  valueAxis: { title: "판매량", unit: "대" },
+  valueAxisRight: { min: 80, max: 120, formatTick: (v) => `${v}%` },
+  curve: "monotone",
+});
+
+// 12. 히스토그램
+createHistogram(document.getElementById("histogram"), {
+  values: histogramSample,
+  bins: "fd",
+  xAxis: { title: "응답 시간", unit: "ms" },
+  valueAxis: { title: "요청 수" },
+});
+
+// 13. 히트맵
+createHeatmapChart(document.getElementById("heatmap"), {
+  data: heatmapSample,
+  height: 300,
+  columnAxis: { title: "시간대" },
+  valueLabel: "접속 수",
+  legend: { show: true, position: "right", title: "접속 수" },
+});
+
+// 14. 박스 플롯
+createBoxPlotChart(document.getElementById("box-plot"), {
+  data: boxPlotSample,
+  height: 360,
+  valueAxis: { title: "빌드 시간", unit: "초" },
+  categoryAxis: { title: "브랜치" },
+});
+
+// 15. 워터폴 차트
+createWaterfallChart(document.getElementById("waterfall-chart"), {
+  data: waterfallSample,
+  height: 380,
+  showValues: true,
+  valueAxis: { title: "금액", unit: "억원" },
+});
+
+// 16. 선버스트 차트
+createSunburstChart(document.getElementById("sunburst-chart"), {
+  data: sunburstSample,
+  height: 420,
+  rootLabel: "전체 매출",
+  valueFormat: { type: "number", unit: "억원" },
+});